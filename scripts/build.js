@@ -14,9 +14,24 @@ const hooks = [
   'summary-hook',
   'search-memory',
   'add-memory',
+  'sync-worker',
 ];
 
-const commands = ['commands/sync', 'commands/status'];
+const commands = [
+  'commands/sync',
+  'commands/status',
+  'commands/history',
+  'commands/trash',
+  'commands/resolve',
+  'commands/login',
+  'commands/logout',
+  'commands/repack',
+  'commands/local',
+  'commands/scan',
+  'commands/incognito',
+  'commands/encryption',
+  'commands/containers',
+];
 
 async function build() {
   console.log('Building scripts...\n');
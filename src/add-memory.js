@@ -1,13 +1,63 @@
 const { StorageClient } = require('./lib/storage-client');
-const { getContainerTag, getProjectName } = require('./lib/container-tag');
+const {
+  getContainerTag,
+  getProjectName,
+  getSubProjectName,
+} = require('./lib/container-tag');
 const { loadSettings } = require('./lib/settings');
 
+const HASHTAG = /^#\p{L}[\p{L}\p{N}_/:-]*$/u;
+// #fff, #c0ffee: colors, not tags
+const HEX_COLOR = /^#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+
+function isHashtag(token) {
+  return HASHTAG.test(token) && !HEX_COLOR.test(token);
+}
+
+// Pull `--tag x`, `--tag=x`, `-t x`, `#x` tokens at the start or end of
+// the text and `--local` out of argv. A `#x` in the middle of a sentence
+// is an anchor or a color, not a tag.
+function parseArgs(argv) {
+  const tags = [];
+  const words = [];
+  let localOnly = false;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--local') {
+      localOnly = true;
+    } else if (arg === '--tag' || arg === '-t') {
+      if (argv[i + 1]) tags.push(...argv[++i].split(','));
+    } else if (arg.startsWith('--tag=')) {
+      tags.push(...arg.slice('--tag='.length).split(','));
+    } else {
+      words.push(arg);
+    }
+  }
+
+  const tokens = words.join(' ').split(/\s+/).filter(Boolean);
+  let start = 0;
+  let end = tokens.length;
+  while (start < end && isHashtag(tokens[start])) start++;
+  while (end > start && isHashtag(tokens[end - 1])) end--;
+  for (const token of [...tokens.slice(0, start), ...tokens.slice(end)]) {
+    tags.push(token.slice(1));
+  }
+  const content = tokens.slice(start, end).join(' ');
+
+  return {
+    content,
+    tags: tags.map((t) => t.trim()).filter(Boolean),
+    localOnly,
+  };
+}
+
 async function main() {
-  const content = process.argv.slice(2).join(' ');
+  const { content, tags, localOnly } = parseArgs(process.argv.slice(2));
 
-  if (!content || !content.trim()) {
+  if (!content) {
     console.log(
-      'No content provided. Usage: node add-memory.cjs "content to save"',
+      'No content provided. Usage: node add-memory.cjs "content to save" [--tag name] [#tag] [--local]',
     );
     return;
   }
@@ -16,17 +66,34 @@ async function main() {
   const cwd = process.cwd();
   const containerTag = getContainerTag(cwd);
   const projectName = getProjectName(cwd);
+  const subProject = getSubProjectName(cwd);
+  const metadata = {
+    type: 'manual',
+    project: projectName,
+    timestamp: new Date().toISOString(),
+  };
+  if (subProject) metadata.subproject = subProject;
 
   try {
     const client = new StorageClient();
-    const result = await client.addMemory(content, containerTag, {
-      type: 'manual',
-      project: projectName,
-      timestamp: new Date().toISOString(),
-    });
+    const result = await client.addMemory(
+      content,
+      containerTag,
+      metadata,
+      null,
+      tags,
+      { localOnly },
+    );
 
-    console.log(`Memory saved to project: ${projectName}`);
+    console.log(
+      `Memory saved to project: ${projectName}${subProject ? ` (${subProject})` : ''}`,
+    );
     console.log(`ID: ${result.id}`);
+    if (localOnly) console.log('Local only: never synced');
+    const saved = client.db.getTags(result.id);
+    if (saved.length > 0) {
+      console.log(`Tags: ${saved.map((t) => `#${t}`).join(' ')}`);
+    }
 
     client.close();
   } catch (err) {
@@ -0,0 +1,101 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const { StorageClient } = require('../lib/storage-client');
+const { getContainerTag } = require('../lib/container-tag');
+const { withSyncLock } = require('../lib/sync-queue');
+
+const USAGE = `Usage:
+  containers                          List projects and their container tags
+  containers move <memory-id> <to>    Move one memory to another container
+  containers merge <from> <to>        Move everything in <from> into <to>
+
+A container is given by its tag, project name or project directory.`;
+
+// Tag, registered project name, or a directory on this machine
+function resolveContainer(client, ref) {
+  const containers = client.listContainers();
+  if (containers.some((c) => c.tag === ref)) return ref;
+
+  const named = containers.filter(
+    (c) => c.name && c.name.toLowerCase() === ref.toLowerCase(),
+  );
+  if (named.length === 1) return named[0].tag;
+  if (named.length > 1) {
+    throw new Error(
+      `"${ref}" matches ${named.length} containers: ${named.map((c) => c.tag).join(', ')}`,
+    );
+  }
+
+  const dir = path.resolve(ref.replace(/^~(?=$|\/)/, process.env.HOME || ''));
+  if (fs.existsSync(dir) && fs.statSync(dir).isDirectory()) {
+    return getContainerTag(dir);
+  }
+  throw new Error(`Unknown container "${ref}"`);
+}
+
+function listContainers(client) {
+  console.log('## Containers\n');
+  const containers = client.listContainers();
+  if (containers.length === 0) {
+    console.log('No containers yet.');
+  }
+  for (const c of containers) {
+    console.log(
+      `- **${c.name || 'unknown'}** (${c.tag}): ${c.memories} memories`,
+    );
+    if (c.remote) console.log(`  Remote: ${c.remote}`);
+    if (c.path) console.log(`  Path: ${c.path}`);
+  }
+  console.log(`\n${USAGE}`);
+}
+
+async function main() {
+  const [action, ...args] = process.argv.slice(2);
+  if (!action) {
+    const client = new StorageClient();
+    try {
+      listContainers(client);
+    } finally {
+      client.close();
+    }
+    return;
+  }
+
+  const client = new StorageClient();
+
+  try {
+    if (!['move', 'merge'].includes(action)) {
+      throw new Error(`Unknown action "${action}"\n\n${USAGE}`);
+    }
+    if (args.length !== 2) throw new Error(USAGE);
+
+    // A sync in progress would mark the moved memories synced under the
+    // container it read them with
+    const outcome = await withSyncLock(client, async () => {
+      if (action === 'move') {
+        const [memoryId, to] = args;
+        const tag = resolveContainer(client, to);
+        const result = await client.moveMemory(memoryId, tag);
+        return `✓ Moved ${memoryId} from ${result.from} to ${tag}`;
+      }
+      const from = resolveContainer(client, args[0]);
+      const to = resolveContainer(client, args[1]);
+      const result = await client.mergeContainers(from, to);
+      return `✓ Merged ${from} into ${to}: ${result.merged} memories, ${result.facts} profile facts`;
+    });
+
+    if (outcome.locked) {
+      console.log('A background sync is running; try again in a moment.');
+      return;
+    }
+    console.log(outcome);
+    console.log('The move is pushed on the next sync.');
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exitCode = 1;
+  } finally {
+    client.close();
+  }
+}
+
+main();
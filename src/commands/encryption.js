@@ -0,0 +1,89 @@
+const fs = require('node:fs');
+const { StorageClient } = require('../lib/storage-client');
+const { withSyncLock } = require('../lib/sync-queue');
+
+const USAGE = `Usage:
+  encryption                Show whether sync exports are encrypted
+  encryption enable         Encrypt exports, or join an encrypted repository
+  encryption rotate         Re-encrypt everything with a new passphrase
+
+The passphrase is read from CLAUDE_MEMORY_PASSPHRASE or from a file given
+with --passphrase-file <path>, never from the command line.`;
+
+function readPassphrase(argv) {
+  const index = argv.indexOf('--passphrase-file');
+  if (index !== -1) {
+    const file = argv[index + 1];
+    if (!file) throw new Error('--passphrase-file needs a path');
+    return fs.readFileSync(file, 'utf8').trim();
+  }
+  return process.env.CLAUDE_MEMORY_PASSPHRASE || null;
+}
+
+async function main() {
+  const argv = process.argv.slice(2);
+  const [action] = argv;
+  const client = new StorageClient();
+
+  try {
+    if (!action) {
+      const status = await client.encryptionStatus();
+      console.log('## Encryption\n');
+      if (status.state === 'on') {
+        console.log(`- Status: on, AES-256-GCM ✓`);
+        console.log(`- Current key: ${status.keyId}`);
+        console.log(
+          `- Created: ${new Date(status.keyCreatedAt).toLocaleString()}`,
+        );
+        console.log(`- Keys kept for older exports: ${status.keys - 1}`);
+      } else if (status.state === 'locked') {
+        console.log(`- Status: locked ✗`);
+        console.log(
+          `- The repository uses key ${status.repoKeyId}; run enable with its passphrase`,
+        );
+      } else {
+        console.log(`- Status: off`);
+      }
+      console.log(`\n${USAGE}`);
+      return;
+    }
+
+    if (action !== 'enable' && action !== 'rotate') {
+      throw new Error(`Unknown action "${action}"\n\n${USAGE}`);
+    }
+    const passphrase = readPassphrase(argv);
+    if (!passphrase) {
+      throw new Error(
+        'Set CLAUDE_MEMORY_PASSPHRASE or pass --passphrase-file <path>',
+      );
+    }
+
+    const result = await withSyncLock(client, () =>
+      action === 'enable'
+        ? client.enableEncryption(passphrase)
+        : client.rotateEncryptionKey(passphrase),
+    );
+    if (result.locked) {
+      console.log('A background sync is running; try again in a moment.');
+      return;
+    }
+
+    if (result.joined) {
+      console.log(`✓ Unlocked the encrypted repository (key ${result.keyId})`);
+    } else {
+      console.log(
+        `✓ Encrypted ${result.memories} memories with key ${result.keyId}`,
+      );
+      console.log(
+        'Other machines need the same passphrase: run /claude-memory:encryption enable there.',
+      );
+    }
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exitCode = 1;
+  } finally {
+    client.close();
+  }
+}
+
+main();
@@ -0,0 +1,71 @@
+const { StorageClient } = require('../lib/storage-client');
+
+const USAGE = `Usage:
+  history <memory-id>                   List revisions
+  history <memory-id> diff <rev> [rev]  Diff a revision against another (default: current)
+  history <memory-id> restore <rev>     Restore a revision (current version is kept as a revision)`;
+
+function parseRevision(value) {
+  const revision = Number.parseInt(value, 10);
+  if (!Number.isInteger(revision) || revision < 1) {
+    throw new Error(`Invalid revision: ${value}`);
+  }
+  return revision;
+}
+
+async function main() {
+  const [memoryId, action = 'list', ...args] = process.argv.slice(2);
+
+  if (!memoryId) {
+    console.log(USAGE);
+    return;
+  }
+
+  const client = new StorageClient();
+
+  try {
+    const memory = client.db.getMemory(memoryId);
+    if (!memory) {
+      console.log(`Memory not found: ${memoryId}`);
+      return;
+    }
+
+    if (action === 'list') {
+      const { revisions } = await client.listRevisions(memoryId);
+      console.log(`## History: ${memoryId}\n`);
+      if (revisions.length === 0) {
+        console.log('No earlier revisions.');
+      }
+      for (const rev of revisions) {
+        const date = new Date(rev.updated_at).toLocaleString();
+        const preview = rev.content.replace(/\s+/g, ' ').slice(0, 80);
+        console.log(
+          `- **r${rev.revision}** ${date} (replaced by ${rev.source}) ${preview}`,
+        );
+      }
+      const current = new Date(memory.updated_at).toLocaleString();
+      console.log(`- **current** ${current}`);
+    } else if (action === 'diff') {
+      if (!args[0]) throw new Error('diff needs a revision number');
+      const from = parseRevision(args[0]);
+      const to = args[1] ? parseRevision(args[1]) : null;
+      const { diff } = await client.diffRevisions(memoryId, from, to);
+      console.log(`## r${from} → ${to ? `r${to}` : 'current'}\n`);
+      console.log(diff);
+    } else if (action === 'restore') {
+      if (!args[0]) throw new Error('restore needs a revision number');
+      const revision = parseRevision(args[0]);
+      await client.restoreRevision(memoryId, revision);
+      console.log(`✓ Restored ${memoryId} to r${revision}`);
+    } else {
+      console.log(USAGE);
+    }
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exitCode = 1;
+  } finally {
+    client.close();
+  }
+}
+
+main();
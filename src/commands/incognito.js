@@ -0,0 +1,64 @@
+const { DEFAULT_DB_PATH } = require('../lib/sqlite-manager');
+const { getRootContainerTag } = require('../lib/container-tag');
+const { setIncognito, readIncognito } = require('../lib/privacy');
+
+const USAGE = `Usage:
+  incognito          Show whether capture is paused
+  incognito on       Stop capturing this session
+  incognito off      Resume capturing`;
+
+function parseArgs(argv) {
+  const args = [];
+  let sessionId = null;
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--session') {
+      sessionId = argv[++i] || null;
+    } else {
+      args.push(argv[i]);
+    }
+  }
+  return { sessionId, toggle: args[0] };
+}
+
+function main() {
+  const { sessionId, toggle } = parseArgs(process.argv.slice(2));
+  const containerTag = getRootContainerTag(process.cwd());
+
+  try {
+    if (!toggle) {
+      const state = readIncognito(DEFAULT_DB_PATH);
+      const active = sessionId
+        ? !!state.sessions[sessionId]
+        : Object.keys(state.sessions).length > 0;
+      console.log(
+        active
+          ? `Incognito is on${sessionId ? '' : ' for at least one session'}: nothing is captured.`
+          : 'Incognito is off: sessions are captured.',
+      );
+      if (state.pending) {
+        console.log(
+          `Pending: incognito ${state.pending.enabled ? 'on' : 'off'} for the next session hook.`,
+        );
+      }
+      console.log(`\n${USAGE}`);
+      return;
+    }
+
+    if (toggle !== 'on' && toggle !== 'off') {
+      throw new Error(`Unknown option "${toggle}"\n\n${USAGE}`);
+    }
+
+    const enabled = toggle === 'on';
+    setIncognito(DEFAULT_DB_PATH, enabled, { sessionId, containerTag });
+    console.log(
+      enabled
+        ? '✓ Incognito on: this session is not captured until you turn it off'
+        : '✓ Incognito off: capture resumes from the next turn',
+    );
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exitCode = 1;
+  }
+}
+
+main();
@@ -0,0 +1,55 @@
+const { StorageClient } = require('../lib/storage-client');
+
+const USAGE = `Usage:
+  local                      List memories and projects kept off the sync repo
+  local <memory-id>          Never sync this memory
+  local <memory-id> off      Sync this memory again`;
+
+async function main() {
+  const [memoryId, toggle] = process.argv.slice(2);
+  const client = new StorageClient();
+
+  try {
+    if (!memoryId) {
+      console.log('## Local-Only Memories\n');
+      const memories = client.db.listLocalOnly();
+      if (memories.length === 0) {
+        console.log('No memories are marked local-only.');
+      }
+      for (const memory of memories) {
+        const preview = memory.content.replace(/\s+/g, ' ').slice(0, 80);
+        console.log(`- **${memory.id}**: ${preview}`);
+      }
+
+      const projects = client.listLocalProjects();
+      if (projects.length > 0) {
+        console.log('\n## Local-Only Projects\n');
+        for (const project of projects) {
+          console.log(
+            `- ${project.project || 'unknown'} (${project.container_tag}): ${project.memories} memories`,
+          );
+        }
+      }
+      console.log(`\n${USAGE}`);
+      return;
+    }
+
+    if (toggle && toggle !== 'off' && toggle !== 'on') {
+      throw new Error(`Unknown option "${toggle}"\n\n${USAGE}`);
+    }
+    const localOnly = toggle !== 'off';
+    await client.setLocalOnly(memoryId, localOnly);
+    console.log(
+      localOnly
+        ? `✓ ${memoryId} will not be synced`
+        : `✓ ${memoryId} will be synced on the next push`,
+    );
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exitCode = 1;
+  } finally {
+    client.close();
+  }
+}
+
+main();
@@ -0,0 +1,27 @@
+const { GitHubAuth } = require('../lib/github-auth');
+const { loadSettings } = require('../lib/settings');
+
+async function main() {
+  const settings = loadSettings();
+  const auth = new GitHubAuth({
+    apiUrl: settings.githubApiUrl,
+    webUrl: settings.githubUrl,
+    clientId: settings.githubClientId,
+  });
+
+  try {
+    const { login, scopes } = await auth.startDeviceFlow();
+    console.log(`✓ Logged in as ${login}`);
+    if (scopes.length > 0) console.log(`- Scopes: ${scopes.join(', ')}`);
+    if (auth.getAuthSource() === 'env') {
+      console.log(
+        '⚠ CLAUDE_MEMORY_GITHUB_TOKEN is set and takes precedence over this login',
+      );
+    }
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exitCode = 1;
+  }
+}
+
+main();
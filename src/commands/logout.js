@@ -0,0 +1,23 @@
+const { GitHubAuth } = require('../lib/github-auth');
+const { loadSettings } = require('../lib/settings');
+
+function main() {
+  const settings = loadSettings();
+  const auth = new GitHubAuth({ apiUrl: settings.githubApiUrl });
+
+  const login = auth.getSavedLogin();
+  if (auth.logout()) {
+    console.log(`✓ Logged out${login ? ` ${login}` : ''}`);
+  } else {
+    console.log('Not logged in with /claude-memory:login');
+  }
+
+  const source = auth.getAuthSource();
+  if (source === 'env') {
+    console.log('- CLAUDE_MEMORY_GITHUB_TOKEN is still set');
+  } else if (source === 'gh') {
+    console.log('- Still authenticated through the gh CLI');
+  }
+}
+
+main();
@@ -0,0 +1,38 @@
+const { StorageClient } = require('../lib/storage-client');
+const { withSyncLock } = require('../lib/sync-queue');
+
+const USAGE = `Usage:
+  repack packed    One JSONL file per project per month
+  repack files     One JSON file per memory`;
+
+async function main() {
+  const [layout] = process.argv.slice(2);
+  if (!layout) {
+    console.log(USAGE);
+    return;
+  }
+
+  const client = new StorageClient();
+
+  try {
+    const outcome = await withSyncLock(client, async () => {
+      console.log(`Repacking sync repository into ${layout} layout...`);
+      return client.repack(layout);
+    });
+
+    if (outcome.locked) {
+      console.log('A background sync is running; try again in a moment.');
+      return;
+    }
+    console.log(
+      `✓ Rewrote ${outcome.memories} memories in the ${outcome.layout} layout`,
+    );
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exitCode = 1;
+  } finally {
+    client.close();
+  }
+}
+
+main();
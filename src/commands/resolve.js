@@ -0,0 +1,82 @@
+const { StorageClient } = require('../lib/storage-client');
+const { formatDiff } = require('../lib/diff');
+
+const USAGE = `Usage:
+  resolve                         List memories with sync conflicts
+  resolve <memory-id>             Show both versions side by side
+  resolve <memory-id> local       Keep this machine's version
+  resolve <memory-id> remote      Keep the other machine's version
+  resolve <memory-id> both        Merge both versions into one memory`;
+
+function describe(label, version) {
+  const date = new Date(version.updatedAt).toLocaleString();
+  const deleted = version.deletedAt ? ' (deleted)' : '';
+  const tags = version.tags?.length
+    ? ` [${version.tags.map((t) => `#${t}`).join(' ')}]`
+    : '';
+  return `### ${label}: ${date}${deleted}${tags}\n\n${version.content}\n`;
+}
+
+async function main() {
+  const [memoryId, choice] = process.argv.slice(2);
+  const client = new StorageClient();
+
+  try {
+    if (!memoryId) {
+      const { conflicts } = await client.listConflicts();
+      console.log('## Sync Conflicts\n');
+      if (conflicts.length === 0) {
+        console.log('No unresolved conflicts.');
+      }
+      for (const conflict of conflicts) {
+        const date = new Date(conflict.detected_at).toLocaleString();
+        const preview = conflict.local_version.content
+          .replace(/\s+/g, ' ')
+          .slice(0, 80);
+        console.log(`- **${conflict.memory_id}** detected ${date}: ${preview}`);
+      }
+      return;
+    }
+
+    if (choice) {
+      await client.resolveConflict(memoryId, choice);
+      console.log(`✓ Resolved ${memoryId} (${choice})`);
+      return;
+    }
+
+    const conflict = client.db.getConflict(memoryId);
+    if (!conflict) {
+      console.log(`No open conflict for ${memoryId}`);
+      return;
+    }
+    const local = client.db.getMemory(memoryId);
+    const remote = conflict.remote_version;
+    console.log(`## Conflict: ${memoryId}\n`);
+    console.log(
+      describe('Local', {
+        content: local.content,
+        tags: client.db.getTags(memoryId),
+        updatedAt: local.updated_at,
+        deletedAt: local.deleted_at,
+      }),
+    );
+    console.log(
+      describe('Remote', {
+        content: remote.content,
+        tags: remote.tags,
+        updatedAt: remote.updated_at,
+        deletedAt: remote.deleted_at,
+      }),
+    );
+    console.log('### Diff (local → remote)\n');
+    console.log(formatDiff(local.content, remote.content));
+    console.log(`\n${USAGE}`);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exitCode = 1;
+  } finally {
+    client.close();
+  }
+}
+
+main();
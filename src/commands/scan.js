@@ -0,0 +1,77 @@
+const { StorageClient } = require('../lib/storage-client');
+const { withSyncLock } = require('../lib/sync-queue');
+
+const USAGE = `Usage:
+  scan          Report secrets stored in the database and the sync repository
+  scan --fix    Replace them with [REDACTED:<type>] placeholders and push`;
+
+async function main() {
+  const args = process.argv.slice(2);
+  const fix = args.includes('--fix');
+  if (args.some((arg) => arg !== '--fix')) {
+    console.log(USAGE);
+    return;
+  }
+
+  const client = new StorageClient();
+
+  try {
+    const result = await withSyncLock(client, () =>
+      client.scanSecrets({ fix }),
+    );
+    if (result.locked) {
+      console.log('A background sync is running; try again in a moment.');
+      return;
+    }
+
+    console.log('## Secret Scan\n');
+    console.log('**Database:**');
+    for (const memory of result.memories) {
+      console.log(`- ${memory.id}: ${memory.types.join(', ')}`);
+    }
+    console.log(`- Memories: ${result.memories.length}`);
+    console.log(`- Revisions: ${result.revisions}`);
+    console.log(`- Buffered observations: ${result.observations}`);
+    console.log(`- Profile facts: ${result.profiles}`);
+
+    console.log('\n**Sync Repository:**');
+    if (result.repo) {
+      for (const record of result.repo.records) {
+        console.log(`- ${record.id}: ${record.types.join(', ')}`);
+      }
+      console.log(`- Memories: ${result.repo.records.length}`);
+    } else {
+      console.log('- Not scanned (no local working copy)');
+    }
+
+    const total =
+      result.memories.length +
+      result.revisions +
+      result.observations +
+      result.profiles +
+      (result.repo?.records.length || 0);
+
+    if (result.error) {
+      console.log(`\n✗ Redacted locally, but sync failed: ${result.error}`);
+      process.exitCode = 1;
+    } else if (total === 0) {
+      console.log('\n✓ No secrets found');
+    } else if (fix) {
+      console.log('\n✓ Redacted');
+      if (result.repo?.records.length || result.memories.length) {
+        console.log(
+          'Earlier commits in the sync repository still contain the old values. Rotate the affected credentials.',
+        );
+      }
+    } else {
+      console.log(`\n${USAGE}`);
+    }
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exitCode = 1;
+  } finally {
+    client.close();
+  }
+}
+
+main();
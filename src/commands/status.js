@@ -1,18 +1,28 @@
 const { StorageClient } = require('../lib/storage-client');
-const { GitHubAuth } = require('../lib/github-auth');
+
+const AUTH_SOURCES = {
+  env: 'CLAUDE_MEMORY_GITHUB_TOKEN',
+  login: '/claude-memory:login',
+  gh: 'gh CLI',
+};
 
 async function main() {
   try {
     const client = new StorageClient();
-    const auth = new GitHubAuth();
 
     // Count total memories
     const db = client.db;
-    const totalStmt = db.db.prepare('SELECT COUNT(*) as count FROM memories');
+    const totalStmt = db.db.prepare(
+      'SELECT COUNT(*) as count FROM memories WHERE deleted_at IS NULL',
+    );
     const total = totalStmt.get().count;
+    const trashStmt = db.db.prepare(
+      'SELECT COUNT(*) as count FROM memories WHERE deleted_at IS NOT NULL',
+    );
+    const trash = trashStmt.get().count;
 
     // Count pending
-    const pending = client.db.getPendingSync().length;
+    const pending = client.db.getPendingSync(client.syncPolicy).length;
 
     // Last sync time
     const lastSyncStmt = db.db.prepare(
@@ -23,22 +33,92 @@ async function main() {
     console.log('## Claude Memory Status\n');
     console.log(`**Local Storage:**`);
     console.log(`- Total memories: ${total}`);
+    console.log(`- In trash: ${trash}`);
     console.log(`- Pending sync: ${pending}`);
-    console.log(`- Database: ~/.claude-memory/memories.db\n`);
+    console.log(`- Sync conflicts: ${db.countConflicts()}`);
+    console.log(`- Database: ~/.claude-memory/memories.db`);
+    console.log(`- Schema version: ${db.getSchemaVersion()}\n`);
 
-    console.log(`**GitHub Sync:**`);
-    if (auth.isAuthenticated()) {
-      console.log(`- Status: Authenticated ✓`);
+    const remote = client.remote;
+    console.log(
+      remote.name === 'github' ? '**GitHub Sync:**' : '**Git Sync:**',
+    );
+    if (remote.isAuthenticated()) {
+      if (remote.name === 'github') {
+        console.log(`- Status: Authenticated ✓`);
+        console.log(
+          `- Auth source: ${AUTH_SOURCES[client.auth.getAuthSource()]}`,
+        );
+        const account = await client.auth
+          .getUser()
+          .then((user) => user.login)
+          .catch((err) => `unknown (${err.message})`);
+        console.log(`- Account: ${account}`);
+      } else {
+        console.log(`- Status: Configured ✓`);
+      }
       if (lastSync) {
         const date = new Date(lastSync);
         console.log(`- Last sync: ${date.toLocaleString()}`);
       } else {
         console.log(`- Last sync: Never`);
       }
-      console.log(`- Repository: ~/.claude-memory/repo`);
+      console.log(
+        `- Remote: ${remote.describe()} (${client.settings.syncBranch})`,
+      );
+      console.log(
+        `- Repository: ${client.settings.syncDir || '~/.claude-memory/repo'}`,
+      );
+      await client.initSync();
+      console.log(`- Layout: ${client.sync.getLayout()}`);
+      const encryption = await client.encryptionStatus();
+      if (encryption.state === 'on') {
+        const since = new Date(encryption.keyCreatedAt).toLocaleString();
+        console.log(
+          `- Encryption: on, AES-256-GCM (key ${encryption.keyId}, created ${since})`,
+        );
+      } else if (encryption.state === 'locked') {
+        console.log(
+          `- Encryption: locked ✗ (repository key ${encryption.repoKeyId}; run /claude-memory:encryption enable)`,
+        );
+      } else {
+        console.log(`- Encryption: off`);
+      }
     } else {
       console.log(`- Status: Not authenticated ✗`);
-      console.log(`- Run \`gh auth login\` to enable GitHub sync`);
+      console.log(`- Run /claude-memory:login to enable GitHub sync`);
+    }
+
+    const localProjects = client.listLocalProjects();
+    const localMemories = db
+      .listProjects()
+      .reduce((count, project) => count + project.local_only, 0);
+    if (localProjects.length > 0 || localMemories > 0) {
+      console.log(`\n**Local Only (never synced):**`);
+      for (const project of localProjects) {
+        console.log(
+          `- ${project.project || 'unknown'} (${project.container_tag}): ${project.memories} memories`,
+        );
+      }
+      if (localMemories > 0) {
+        console.log(`- Memories marked local-only: ${localMemories}`);
+      }
+    }
+
+    const queue = db.getSyncQueueStats();
+    console.log(`\n**Sync Queue:**`);
+    console.log(`- Queued: ${queue.queued}`);
+    if (queue.running > 0) console.log(`- Running: ${queue.running}`);
+    if (queue.failed > 0) console.log(`- Gave up: ${queue.failed}`);
+    if (queue.queued > 0 && queue.nextAttemptAt) {
+      const next = new Date(queue.nextAttemptAt);
+      console.log(`- Next attempt: ${next.toLocaleString()}`);
+    }
+    if (queue.lastAttempt?.error) {
+      const date = new Date(queue.lastAttempt.attempted_at);
+      console.log(
+        `- Last error: ${queue.lastAttempt.error} (${date.toLocaleString()})`,
+      );
     }
 
     client.close();
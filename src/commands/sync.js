@@ -1,19 +1,44 @@
 const { StorageClient } = require('../lib/storage-client');
+const { withSyncLock } = require('../lib/sync-queue');
 
 async function main() {
   try {
     const client = new StorageClient();
+    const startedAt = Date.now();
+    const fullRescan = process.argv.includes('--full');
 
-    console.log('Syncing memories to GitHub...');
-    const result = await client.syncToGitHub();
+    const outcome = await withSyncLock(client, async () => {
+      console.log('Pulling memories from GitHub...');
+      const pulled = await client.syncFromGitHub({ fullRescan });
+      if (pulled.success) {
+        console.log(
+          `✓ ${pulled.new} new, ${pulled.updated} updated, ${pulled.unchanged} unchanged, ${pulled.conflicting} conflicting, ${pulled.profiles} profile facts (${pulled.scan} scan)`,
+        );
+      } else {
+        console.log(`✗ Pull failed: ${pulled.error}`);
+      }
+
+      console.log('Syncing memories to GitHub...');
+      const result = await client.syncToGitHub();
 
-    if (result.success) {
-      console.log(`✓ Synced ${result.synced} memories to GitHub`);
-    } else {
-      console.log(`✗ Sync failed: ${result.error}`);
-      if (result.error.includes('authenticated')) {
-        console.log('Run `gh auth login` to authenticate with GitHub');
+      if (result.success) {
+        console.log(`✓ Synced ${result.synced} memories to GitHub`);
+      } else {
+        console.log(`✗ Sync failed: ${result.error}`);
+        if (result.error.includes('authenticated')) {
+          console.log('Run /claude-memory:login to authenticate with GitHub');
+        }
       }
+
+      // Anything the background queue was waiting to do is done now
+      if (pulled.success && result.success) {
+        client.db.completeSyncJobs(startedAt);
+      }
+      return {};
+    });
+
+    if (outcome.locked) {
+      console.log('A background sync is running; try again in a moment.');
     }
 
     client.close();
@@ -0,0 +1,63 @@
+const { StorageClient } = require('../lib/storage-client');
+const { getContainerTag } = require('../lib/container-tag');
+
+const DAY_MS = 86400000;
+
+const USAGE = `Usage:
+  trash                      List deleted memories for this project
+  trash delete <memory-id>   Move a memory to the trash
+  trash restore <memory-id>  Restore a memory from the trash
+  trash purge <memory-id>    Permanently remove one memory from the trash
+  trash purge --all [days]   Empty the trash (optionally only older than N days)`;
+
+async function main() {
+  const [action = 'list', ...args] = process.argv.slice(2);
+  const client = new StorageClient();
+
+  try {
+    if (action === 'list') {
+      const containerTag = getContainerTag(process.cwd());
+      const { memories } = await client.listTrash(containerTag);
+      console.log('## Trash\n');
+      if (memories.length === 0) {
+        console.log('Trash is empty.');
+      }
+      for (const memory of memories) {
+        const date = new Date(memory.deleted_at).toLocaleString();
+        const preview = memory.content.replace(/\s+/g, ' ').slice(0, 80);
+        console.log(`- **${memory.id}** deleted ${date}: ${preview}`);
+      }
+    } else if (action === 'delete') {
+      if (!args[0]) throw new Error('delete needs a memory id');
+      await client.deleteMemory(args[0]);
+      console.log(`✓ Moved ${args[0]} to the trash`);
+    } else if (action === 'restore') {
+      if (!args[0]) throw new Error('restore needs a memory id');
+      await client.restoreMemory(args[0]);
+      console.log(`✓ Restored ${args[0]}`);
+    } else if (action === 'purge') {
+      if (args[0] === '--all') {
+        const days = args[1] ? Number.parseInt(args[1], 10) : 0;
+        if (!Number.isInteger(days) || days < 0) {
+          throw new Error(`Invalid number of days: ${args[1]}`);
+        }
+        const { purged } = await client.purgeDeleted(days * DAY_MS);
+        console.log(`✓ Purged ${purged} memories`);
+      } else if (args[0]) {
+        await client.purgeMemory(args[0]);
+        console.log(`✓ Purged ${args[0]}`);
+      } else {
+        throw new Error('purge needs a memory id or --all');
+      }
+    } else {
+      console.log(USAGE);
+    }
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exitCode = 1;
+  } finally {
+    client.close();
+  }
+}
+
+main();
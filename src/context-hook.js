@@ -1,8 +1,16 @@
 const { StorageClient } = require('./lib/storage-client');
-const { getContainerTag, getProjectName } = require('./lib/container-tag');
+const {
+  describeContainer,
+  describeSubProject,
+} = require('./lib/container-tag');
 const { loadSettings, debugLog } = require('./lib/settings');
 const { readStdin, writeOutput } = require('./lib/stdin');
 const { formatContext } = require('./lib/format-context');
+const {
+  enqueueSync,
+  spawnSyncWorker,
+  withSyncLock,
+} = require('./lib/sync-queue');
 
 async function main() {
   const settings = loadSettings();
@@ -10,29 +18,76 @@ async function main() {
   try {
     const input = await readStdin();
     const cwd = input.cwd || process.cwd();
-    const containerTag = getContainerTag(cwd);
-    const projectName = getProjectName(cwd);
+    const container = describeContainer(cwd);
+    const subProject = describeSubProject(cwd);
+    // Sub-project first, so its profile facts lead
+    const containerTags = subProject
+      ? [subProject.tag, container.tag]
+      : [container.tag];
+    const projectName = container.name;
 
-    debugLog(settings, 'SessionStart', { cwd, containerTag, projectName });
+    debugLog(settings, 'SessionStart', {
+      cwd,
+      containerTags,
+      projectName,
+      subProject: subProject?.name,
+    });
 
     const client = new StorageClient();
 
-    // Sync from GitHub (non-blocking, best effort)
-    const syncResult = await client
-      .syncFromGitHub()
-      .catch(() => ({ success: false }));
+    // Before the worker starts, so memories moved off the old path-based
+    // tag go out with this sync. A running sync leaves it for next time.
+    const registered = await withSyncLock(client, async () => {
+      if (subProject) await client.registerContainer(subProject);
+      return client.registerContainer(container);
+    }).catch((err) => ({ error: err.message }));
+    if (registered.merged > 0 || registered.error) {
+      debugLog(settings, 'Container registered', registered);
+    }
+
+    // Pull in the background; memories merged by the worker are picked up
+    // by prompt recall. The last attempt tells us whether we are offline.
+    enqueueSync(client, 'session-start');
+    spawnSyncWorker(client.db.dbPath);
+    const { lastAttempt } = client.db.getSyncQueueStats();
+    const syncResult = { success: !lastAttempt?.error };
     if (!syncResult.success) {
-      debugLog(settings, 'GitHub sync unavailable, working offline');
+      debugLog(settings, 'GitHub sync failing, working offline', {
+        error: lastAttempt.error,
+      });
     }
 
+    // Embed memories that predate vector search or just arrived via sync
+    const backfill = await client
+      .backfillEmbeddings(settings.embeddingBackfillBatch)
+      .catch((err) => ({ embedded: 0, error: err.message }));
+    debugLog(settings, 'Embedding backfill', backfill);
+
+    const conflicts = client.db.countConflicts();
+    const conflictNote =
+      conflicts > 0
+        ? `⚠ ${conflicts} ${conflicts === 1 ? 'memory has' : 'memories have'} unresolved sync conflicts - run /claude-memory:resolve`
+        : '';
+
     const profileResult = await client
-      .getProfile(containerTag, projectName)
+      .getProfile(containerTags)
       .catch(() => null);
+    // Recent memories plus the ones most related to the project
+    if (profileResult) {
+      const results = await client
+        .getContextMemories(
+          containerTags,
+          projectName,
+          settings.maxProfileItems || 5,
+        )
+        .catch(() => []);
+      profileResult.searchResults = { results, total: results.length };
+    }
 
     const additionalContext = formatContext(
       profileResult,
       true,
-      false,
+      true,
       settings.maxProfileItems || 5,
     );
 
@@ -44,6 +99,7 @@ async function main() {
 No previous memories found for this project.
 Memories will be saved as you work.
 ${syncResult.success ? '' : '⚠ GitHub sync unavailable - working offline'}
+${conflictNote}
 </supermemory-context>`,
         },
       });
@@ -55,9 +111,10 @@ ${syncResult.success ? '' : '⚠ GitHub sync unavailable - working offline'}
       length: additionalContext.length,
     });
 
-    const statusNote = syncResult.success
+    let statusNote = syncResult.success
       ? ''
       : '\n⚠ GitHub sync unavailable - working offline';
+    if (conflictNote) statusNote += `\n${conflictNote}`;
 
     writeOutput({
       hookSpecificOutput: {
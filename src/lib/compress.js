@@ -1,3 +1,5 @@
+const { shouldCaptureTool } = require('./settings');
+
 function getRelativePath(filePath) {
   if (!filePath) return 'unknown';
   const parts = filePath.split('/');
@@ -85,8 +87,126 @@ function getObservationMetadata(toolName, toolInput) {
   return metadata;
 }
 
+const BLOCK_PATTERN =
+  /\[(role:user|role:assistant|tool:([^\]\n]+)|tool_result:(\S+) status="(\w+)")\]\n([\s\S]*?)\n\[(?:user|assistant|tool|tool_result):end\]/g;
+
+function parseToolInput(text) {
+  const input = {};
+  let lastKey = null;
+  for (const line of text.split('\n')) {
+    const match = line.match(/^(\w+): (.*)$/);
+    if (match) {
+      lastKey = match[1];
+      input[lastKey] = match[2];
+    } else if (lastKey) {
+      input[lastKey] += `\n${line}`;
+    }
+  }
+  if (input.replace_all) input.replace_all = input.replace_all === 'true';
+  return input;
+}
+
+function parseFormattedTranscript(formatted) {
+  const userMessages = [];
+  const assistantMessages = [];
+  const toolUses = [];
+
+  for (const match of formatted.matchAll(BLOCK_PATTERN)) {
+    const [, kind, toolName, resultTool, status, body] = match;
+    if (kind === 'role:user') {
+      userMessages.push(body.trim());
+    } else if (kind === 'role:assistant') {
+      assistantMessages.push(body.trim());
+    } else if (toolName) {
+      toolUses.push({ name: toolName, input: parseToolInput(body) });
+    } else if (resultTool) {
+      // Results arrive in call order, so pair with the oldest unanswered use
+      const use = toolUses.find((t) => t.name === resultTool && !t.status);
+      if (use) use.status = status;
+    }
+  }
+
+  return { userMessages, assistantMessages, toolUses };
+}
+
+/**
+ * Condense a transcript chunk produced by formatNewEntries() into a short
+ * markdown summary: what was asked, what was done, and how it ended.
+ *
+ * When the observation hook buffered tool events for the session, those are
+ * used for the action list since they carry the real tool responses.
+ */
+function compressTranscript(formatted, settings = {}, observations = []) {
+  const { userMessages, assistantMessages, toolUses } =
+    parseFormattedTranscript(formatted || '');
+
+  if (
+    userMessages.length === 0 &&
+    assistantMessages.length === 0 &&
+    observations.length === 0
+  ) {
+    return null;
+  }
+
+  const maxItems = settings.maxSummaryItems || 10;
+  const maxLength = settings.maxSummaryLength || 4000;
+  const sections = [];
+
+  if (userMessages.length > 0) {
+    const requests = userMessages
+      .slice(0, maxItems)
+      .map((m) => `- ${truncate(m.replace(/\s+/g, ' '), 200)}`);
+    sections.push(`### Requests\n${requests.join('\n')}`);
+  }
+
+  const actions = [];
+  const seen = new Set();
+  const addAction = (action) => {
+    if (seen.has(action)) return;
+    seen.add(action);
+    actions.push(`- ${action}`);
+  };
+
+  if (observations.length > 0) {
+    for (const obs of observations) addAction(obs.summary);
+  } else {
+    for (const use of toolUses) {
+      if (settings.skipTools && !shouldCaptureTool(use.name, settings)) {
+        continue;
+      }
+      const response = use.status === 'error' ? { error: true } : {};
+      addAction(compressObservation(use.name, use.input, response));
+    }
+  }
+
+  if (actions.length > 0) {
+    const extra =
+      actions.length > maxItems
+        ? `\n- ...and ${actions.length - maxItems} more`
+        : '';
+    sections.push(
+      `### Actions\n${actions.slice(0, maxItems).join('\n')}${extra}`,
+    );
+  }
+
+  if (assistantMessages.length > 0) {
+    const outcome = assistantMessages[assistantMessages.length - 1];
+    sections.push(`### Outcome\n${truncate(outcome, 600)}`);
+  }
+
+  return truncate(sections.join('\n\n'), maxLength);
+}
+
+function countTurns(formatted) {
+  if (!formatted) return 0;
+  return (formatted.match(/\[role:user\]/g) || []).length;
+}
+
 module.exports = {
   compressObservation,
+  compressTranscript,
+  countTurns,
+  parseFormattedTranscript,
   getObservationMetadata,
   getRelativePath,
   truncate,
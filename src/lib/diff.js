@@ -0,0 +1,69 @@
+// Longest-common-subsequence line diff; memories are small enough that the
+// O(n*m) table is never a concern.
+function diffLines(oldText, newText) {
+  const a = (oldText || '').split('\n');
+  const b = (newText || '').split('\n');
+  const n = a.length;
+  const m = b.length;
+
+  const lcs = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] =
+        a[i] === b[j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      ops.push({ type: ' ', line: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      ops.push({ type: '-', line: a[i++] });
+    } else {
+      ops.push({ type: '+', line: b[j++] });
+    }
+  }
+  while (i < n) ops.push({ type: '-', line: a[i++] });
+  while (j < m) ops.push({ type: '+', line: b[j++] });
+
+  return ops;
+}
+
+/**
+ * Render a diff with `context` unchanged lines around each change;
+ * longer unchanged runs collapse to "...".
+ */
+function formatDiff(oldText, newText, context = 3) {
+  const ops = diffLines(oldText, newText);
+  if (ops.every((op) => op.type === ' ')) return '(no changes)';
+
+  const keep = ops.map(() => false);
+  ops.forEach((op, idx) => {
+    if (op.type === ' ') return;
+    const from = Math.max(0, idx - context);
+    const to = Math.min(ops.length - 1, idx + context);
+    for (let k = from; k <= to; k++) keep[k] = true;
+  });
+
+  const lines = [];
+  let skipped = false;
+  ops.forEach((op, idx) => {
+    if (!keep[idx]) {
+      if (!skipped) lines.push('...');
+      skipped = true;
+      return;
+    }
+    skipped = false;
+    lines.push(`${op.type} ${op.line}`);
+  });
+  return lines.join('\n');
+}
+
+module.exports = { diffLines, formatDiff };
@@ -0,0 +1,151 @@
+const crypto = require('node:crypto');
+
+const DEFAULT_HASH_DIMENSIONS = 256;
+const DEFAULT_OPENAI_BASE_URL = 'http://localhost:11434/v1';
+const DEFAULT_OPENAI_MODEL = 'nomic-embed-text';
+
+function normalize(vector) {
+  let norm = 0;
+  for (let i = 0; i < vector.length; i++) norm += vector[i] * vector[i];
+  norm = Math.sqrt(norm);
+  if (norm === 0) return vector;
+  for (let i = 0; i < vector.length; i++) vector[i] /= norm;
+  return vector;
+}
+
+// Vectors are stored L2-normalized, so cosine similarity is a dot product
+function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+  let dot = 0;
+  for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+  return dot;
+}
+
+function vectorToBuffer(vector) {
+  const array = Float32Array.from(vector);
+  return Buffer.from(array.buffer, array.byteOffset, array.byteLength);
+}
+
+function bufferToVector(buffer) {
+  // Copy first: SQLite blobs are not guaranteed to be 4-byte aligned
+  const bytes = new Uint8Array(buffer);
+  return new Float32Array(bytes.buffer, 0, bytes.byteLength / 4);
+}
+
+function hashFeature(feature) {
+  return crypto.createHash('md5').update(feature).digest().readUInt32LE(0);
+}
+
+/**
+ * Offline provider: feature-hashes word unigrams, word bigrams and
+ * character trigrams into a fixed-size vector. No network, no model files -
+ * catches shared stems and morphology ("authenticate" / "authentication")
+ * rather than true synonyms.
+ */
+class HashEmbeddingProvider {
+  constructor(dimensions = DEFAULT_HASH_DIMENSIONS) {
+    this.dimensions = dimensions;
+    this.id = `hash-${dimensions}`;
+  }
+
+  embedOne(text) {
+    const vector = new Float32Array(this.dimensions);
+    const words = (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    const counts = new Map();
+    const add = (feature, weight) => {
+      counts.set(feature, (counts.get(feature) || 0) + weight);
+    };
+
+    for (let i = 0; i < words.length; i++) {
+      const word = words[i];
+      add(`w:${word}`, 1);
+      if (i > 0) add(`b:${words[i - 1]} ${word}`, 0.5);
+      const padded = `^${word}$`;
+      for (let j = 0; j + 3 <= padded.length; j++) {
+        add(`c:${padded.slice(j, j + 3)}`, 0.5);
+      }
+    }
+
+    for (const [feature, count] of counts) {
+      const hash = hashFeature(feature);
+      const sign = hash & 0x80000000 ? -1 : 1;
+      vector[hash % this.dimensions] += sign * Math.log1p(count);
+    }
+
+    return normalize(vector);
+  }
+
+  async embed(texts) {
+    return texts.map((t) => this.embedOne(t));
+  }
+}
+
+/**
+ * Any server exposing the OpenAI `/embeddings` API - a local Ollama or
+ * llama.cpp instance, or a hosted endpoint.
+ */
+class OpenAIEmbeddingProvider {
+  constructor({ baseUrl, model, apiKey, timeoutMs = 10000 } = {}) {
+    this.baseUrl = (baseUrl || DEFAULT_OPENAI_BASE_URL).replace(/\/+$/, '');
+    this.model = model || DEFAULT_OPENAI_MODEL;
+    this.apiKey = apiKey || null;
+    this.timeoutMs = timeoutMs;
+    this.id = `openai:${this.model}`;
+  }
+
+  async embed(texts) {
+    if (texts.length === 0) return [];
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+
+    const res = await fetch(`${this.baseUrl}/embeddings`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ model: this.model, input: texts }),
+      signal: AbortSignal.timeout(this.timeoutMs),
+    });
+
+    if (!res.ok) {
+      throw new Error(`Embedding request failed: HTTP ${res.status}`);
+    }
+
+    const body = await res.json();
+    const data = [...(body.data || [])].sort(
+      (a, b) => (a.index ?? 0) - (b.index ?? 0),
+    );
+    if (data.length !== texts.length) {
+      throw new Error(
+        `Embedding response had ${data.length} vectors for ${texts.length} inputs`,
+      );
+    }
+    return data.map((d) => normalize(Float32Array.from(d.embedding)));
+  }
+}
+
+function createEmbeddingProvider(settings = {}) {
+  switch (settings.embeddingProvider) {
+    case 'none':
+    case false:
+      return null;
+    case 'openai':
+      return new OpenAIEmbeddingProvider({
+        baseUrl: settings.embeddingBaseUrl,
+        model: settings.embeddingModel,
+        apiKey: process.env.CLAUDE_MEMORY_EMBEDDING_API_KEY,
+      });
+    default:
+      return new HashEmbeddingProvider(
+        settings.embeddingDimensions || DEFAULT_HASH_DIMENSIONS,
+      );
+  }
+}
+
+module.exports = {
+  HashEmbeddingProvider,
+  OpenAIEmbeddingProvider,
+  createEmbeddingProvider,
+  cosineSimilarity,
+  vectorToBuffer,
+  bufferToVector,
+};
@@ -0,0 +1,133 @@
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const ALGORITHM = 'aes-256-gcm';
+const SCRYPT_OPTIONS = { N: 2 ** 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+
+// ~/.claude-memory/memories.db -> ~/.claude-memory/memories.key
+function keyFilePath(dbPath) {
+  return path.join(
+    path.dirname(dbPath),
+    `${path.basename(dbPath).replace(/\.db$/, '')}.key`,
+  );
+}
+
+/**
+ * Derive a key from a passphrase. The salt is random for a new key and
+ * read from the sync repo when joining one, so every machine that knows
+ * the passphrase derives the same key. The id is a digest of the key,
+ * which also tells whether a passphrase was right.
+ */
+function deriveKey(
+  passphrase,
+  salt = crypto.randomBytes(16).toString('base64'),
+) {
+  const key = crypto.scryptSync(
+    passphrase,
+    Buffer.from(salt, 'base64'),
+    32,
+    SCRYPT_OPTIONS,
+  );
+  const id = crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+  return { id, salt, key: key.toString('base64'), createdAt: Date.now() };
+}
+
+/**
+ * Keys for sealing sync exports, kept in a 0600 file next to the database.
+ * New data is sealed with the current key; older keys stay so that data
+ * sealed before a rotation can still be opened.
+ */
+class Keyring {
+  constructor(file) {
+    this.file = file;
+    this.data = { current: null, keys: [] };
+    try {
+      this.data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch {}
+  }
+
+  get active() {
+    return !!this.currentKey;
+  }
+
+  get currentKey() {
+    return this.data.keys.find((k) => k.id === this.data.current) || null;
+  }
+
+  hasKey(id) {
+    return this.data.keys.some((k) => k.id === id);
+  }
+
+  // Adds a key from deriveKey() and makes it current
+  add(entry) {
+    if (!this.hasKey(entry.id)) this.data.keys.push(entry);
+    this.data.current = entry.id;
+    this.save();
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(this.file, JSON.stringify(this.data, null, 2), {
+      mode: 0o600,
+    });
+    // `mode` only applies when the file is created
+    fs.chmodSync(this.file, 0o600);
+  }
+
+  // What the sync repo may know: ids and salts, never key material
+  publicKeys() {
+    return this.data.keys.map(({ id, salt, createdAt }) => ({
+      id,
+      salt,
+      createdAt,
+    }));
+  }
+
+  /**
+   * Encrypt a JSON value with the current key. `aad` (the record id) is
+   * authenticated but not encrypted, so a sealed value cannot be moved to
+   * another record.
+   */
+  seal(value, aad) {
+    const entry = this.currentKey;
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(
+      ALGORITHM,
+      Buffer.from(entry.key, 'base64'),
+      iv,
+    );
+    cipher.setAAD(Buffer.from(aad, 'utf8'));
+    const data = Buffer.concat([
+      cipher.update(JSON.stringify(value), 'utf8'),
+      cipher.final(),
+    ]);
+    return {
+      v: 1,
+      kid: entry.id,
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64'),
+    };
+  }
+
+  // Throws when the key is unknown or the data was tampered with
+  open(sealed, aad) {
+    const entry = this.data.keys.find((k) => k.id === sealed.kid);
+    if (!entry) throw new Error(`Unknown encryption key ${sealed.kid}`);
+    const decipher = crypto.createDecipheriv(
+      ALGORITHM,
+      Buffer.from(entry.key, 'base64'),
+      Buffer.from(sealed.iv, 'base64'),
+    );
+    decipher.setAAD(Buffer.from(aad, 'utf8'));
+    decipher.setAuthTag(Buffer.from(sealed.tag, 'base64'));
+    const plain = Buffer.concat([
+      decipher.update(Buffer.from(sealed.data, 'base64')),
+      decipher.final(),
+    ]);
+    return JSON.parse(plain.toString('utf8'));
+  }
+}
+
+module.exports = { Keyring, deriveKey, keyFilePath, ALGORITHM };
@@ -0,0 +1,179 @@
+const STOPWORDS = new Set(
+  [
+    'the and for are but not you all any can had has have her was one our',
+    'out his how its let may now see she too use did does doing this that',
+    'with what when where which who why will would could should from into',
+    'about there their them then than these those been being were some',
+    'just like also please make want need',
+  ]
+    .join(' ')
+    .split(' '),
+);
+
+// Wrap a term as an FTS5 string literal so punctuation can't break the query
+function quoteTerm(term) {
+  return `"${term.replace(/"/g, '""')}"`;
+}
+
+function extractKeywords(text, maxTerms = 12) {
+  if (!text || typeof text !== 'string') return [];
+
+  const seen = new Set();
+  const keywords = [];
+  for (const word of text.toLowerCase().match(/[\p{L}\p{N}_]+/gu) || []) {
+    if (word.length < 3 || STOPWORDS.has(word) || seen.has(word)) continue;
+    seen.add(word);
+    keywords.push(word);
+    if (keywords.length >= maxTerms) break;
+  }
+  return keywords;
+}
+
+/**
+ * Turn free text (e.g. a user prompt) into an FTS5 OR-query of its
+ * significant words. Returns null when nothing searchable is left.
+ */
+function buildKeywordQuery(text, maxTerms = 12) {
+  const keywords = extractKeywords(text, maxTerms);
+  if (keywords.length === 0) return null;
+  return keywords.map(quoteTerm).join(' OR ');
+}
+
+// "getHTTPResponse" -> get http response; "sqlite_manager" -> sqlite manager
+function splitIdentifier(token) {
+  return token
+    .replace(/([\p{Ll}\p{N}])(\p{Lu})/gu, '$1 $2')
+    .replace(/(\p{Lu}+)(\p{Lu}\p{Ll})/gu, '$1 $2')
+    .split(/[^\p{L}\p{N}]+/u)
+    .map((part) => part.toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Extra index terms for code-ish tokens in `text`. Identifiers are broken
+ * into their words and also joined, so "StorageClient", "storage_client"
+ * and "src/lib/storage-client.js" all match both "storage client" and
+ * "storageclient". Plain words add nothing - the FTS tokenizer has them.
+ */
+function codeTerms(text) {
+  if (!text || typeof text !== 'string') return '';
+
+  const terms = new Set();
+  for (const token of text.match(/[\p{L}\p{N}_$./-]+/gu) || []) {
+    for (const segment of token.split(/[./\\]+/)) {
+      const parts = splitIdentifier(segment);
+      if (parts.length < 2) continue;
+      for (const part of parts) terms.add(part);
+      terms.add(parts.join(''));
+    }
+  }
+  return [...terms].join(' ');
+}
+
+/**
+ * Translate raw user input into a safe FTS5 expression. Every term is
+ * quoted, so punctuation can never produce a syntax error. Supported:
+ * "quoted phrases", -excluded terms, prefix* terms and OR between terms;
+ * everything else is ANDed. Returns null when nothing searchable is left.
+ */
+function buildMatchQuery(input) {
+  if (!input || typeof input !== 'string') return null;
+
+  const include = [];
+  const exclude = [];
+  let pendingOr = false;
+
+  for (const match of input.matchAll(/(-?)"([^"]*)"|(\S+)/g)) {
+    const [, negated, phrase, bare] = match;
+    let term = phrase ?? bare;
+    let exclusion = negated === '-';
+
+    if (phrase === undefined) {
+      if (term === 'OR' || term === '|') {
+        pendingOr = include.length > 0;
+        continue;
+      }
+      if (term === 'AND') continue;
+      if (term.startsWith('-') && term.length > 1) {
+        exclusion = true;
+        term = term.slice(1);
+      }
+    }
+
+    // Prefix search only for bare words: `auth*`
+    const prefix = phrase === undefined && /^[\p{L}\p{N}_]+\*$/u.test(term);
+    if (prefix) term = term.slice(0, -1);
+    if (!/[\p{L}\p{N}]/u.test(term)) continue;
+
+    const expr = `${quoteTerm(term)}${prefix ? ' *' : ''}`;
+    if (exclusion) {
+      exclude.push(expr);
+    } else if (pendingOr) {
+      include.push(`OR ${expr}`);
+      pendingOr = false;
+    } else {
+      include.push(expr);
+    }
+  }
+
+  if (include.length === 0) return null;
+
+  // Group OR-runs so "a b OR c" means a AND (b OR c)
+  const groups = [];
+  for (const expr of include) {
+    if (expr.startsWith('OR ') && groups.length > 0) {
+      groups[groups.length - 1].push(expr.slice(3));
+    } else {
+      groups.push([expr]);
+    }
+  }
+  const positive = groups
+    .map((g) => (g.length > 1 ? `(${g.join(' OR ')})` : g[0]))
+    .join(' AND ');
+
+  if (exclude.length === 0) return positive;
+  return `(${positive}) NOT (${exclude.join(' OR ')})`;
+}
+
+/**
+ * Split the -excluded terms off raw user input, for the vector side of a
+ * search: `text` is the rest of the input, to embed, and `exclude` an FTS5
+ * expression matching any excluded term (null when there is none).
+ */
+function splitExclusions(input) {
+  if (!input || typeof input !== 'string') return { text: '', exclude: null };
+
+  const kept = [];
+  const exclude = [];
+  for (const match of input.matchAll(/(-?)"([^"]*)"|(\S+)/g)) {
+    const [token, negated, phrase, bare] = match;
+    const excluded =
+      phrase === undefined
+        ? bare.startsWith('-') && bare.length > 1
+        : negated === '-';
+    if (!excluded) {
+      kept.push(token);
+      continue;
+    }
+    let term = phrase ?? bare.slice(1);
+    const prefix = phrase === undefined && /^[\p{L}\p{N}_]+\*$/u.test(term);
+    if (prefix) term = term.slice(0, -1);
+    if (/[\p{L}\p{N}]/u.test(term)) {
+      exclude.push(`${quoteTerm(term)}${prefix ? ' *' : ''}`);
+    }
+  }
+  return {
+    text: kept.join(' '),
+    exclude: exclude.length > 0 ? exclude.join(' OR ') : null,
+  };
+}
+
+module.exports = {
+  quoteTerm,
+  splitIdentifier,
+  codeTerms,
+  buildMatchQuery,
+  splitExclusions,
+  extractKeywords,
+  buildKeywordQuery,
+};
@@ -0,0 +1,107 @@
+const DEFAULT_REPO_NAME = 'claude-memory-storage';
+
+/**
+ * Any git remote: GitLab, Gitea, a bare repository on a NAS or a local
+ * `file://` path. The repository must already exist; credentials are left
+ * to git (SSH keys, credential helpers).
+ */
+class GitRemoteProvider {
+  constructor(url) {
+    this.url = url;
+    this.name = 'git';
+  }
+
+  isAuthenticated() {
+    return true;
+  }
+
+  async getRemoteUrl() {
+    return this.url;
+  }
+
+  async getGitEnv() {
+    return {};
+  }
+
+  describe() {
+    return this.url;
+  }
+}
+
+/**
+ * Private repository under the authenticated GitHub account, created on
+ * first use. `repo` is "owner/name" or just "name".
+ */
+class GitHubProvider {
+  constructor(auth, repo = null) {
+    this.auth = auth;
+    this.name = 'github';
+    const [owner, name] = (repo || '').includes('/')
+      ? repo.split('/')
+      : [null, repo || DEFAULT_REPO_NAME];
+    this.repoOwner = owner;
+    this.repoName = name;
+  }
+
+  isAuthenticated() {
+    return this.auth.isAuthenticated();
+  }
+
+  async getRemoteUrl() {
+    const client = await this.auth.getClient();
+    if (!this.repoOwner) {
+      this.repoOwner = (await client.getUser()).login;
+    }
+
+    const repo =
+      (await client.getRepo(this.repoOwner, this.repoName)) ||
+      (await this.createRepo(client));
+    return repo.clone_url;
+  }
+
+  // Lets git authenticate over HTTPS with the API token without storing it
+  // in .git/config or exposing it on a command line
+  async getGitEnv() {
+    const token = await this.auth.getToken();
+    const basic = Buffer.from(`x-access-token:${token}`).toString('base64');
+    return {
+      GIT_CONFIG_COUNT: '1',
+      GIT_CONFIG_KEY_0: 'http.extraHeader',
+      GIT_CONFIG_VALUE_0: `Authorization: Basic ${basic}`,
+    };
+  }
+
+  describe() {
+    const host = this.auth.apiUrl
+      ? new URL(this.auth.apiUrl).host
+      : 'github.com';
+    return `${host}/${this.repoOwner || '<you>'}/${this.repoName}`;
+  }
+
+  async createRepo(client) {
+    const repo = await client.createRepo({
+      name: this.repoName,
+      private: true,
+      description:
+        'Claude Code memory storage - persistent context across sessions',
+      auto_init: true,
+    });
+    console.log(`Created private repository: ${repo.full_name}`);
+    return repo;
+  }
+}
+
+// `syncRemote` in settings selects a plain git remote; otherwise GitHub
+function createRemoteProvider(settings, auth) {
+  if (settings.syncRemote) {
+    return new GitRemoteProvider(settings.syncRemote);
+  }
+  return new GitHubProvider(auth, process.env.CLAUDE_MEMORY_REPO || null);
+}
+
+module.exports = {
+  GitRemoteProvider,
+  GitHubProvider,
+  createRemoteProvider,
+  DEFAULT_REPO_NAME,
+};
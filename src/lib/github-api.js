@@ -0,0 +1,138 @@
+const DEFAULT_API_URL = 'https://api.github.com';
+
+/**
+ * `code` is one of AUTH_FAILED, NOT_FOUND, RATE_LIMITED, HTTP_ERROR or
+ * NETWORK_ERROR. Rate-limit errors carry `resetAt` (ms) when GitHub
+ * reports it.
+ */
+class GitHubApiError extends Error {
+  constructor(message, { code, status = null, resetAt = null } = {}) {
+    super(message);
+    this.name = 'GitHubApiError';
+    this.code = code;
+    this.status = status;
+    this.resetAt = resetAt;
+  }
+}
+
+function classify(res, body) {
+  const message = body?.message || `HTTP ${res.status}`;
+  const remaining = res.headers.get('x-ratelimit-remaining');
+  const retryAfter = res.headers.get('retry-after');
+
+  if (
+    res.status === 429 ||
+    (res.status === 403 && (remaining === '0' || retryAfter))
+  ) {
+    const reset = res.headers.get('x-ratelimit-reset');
+    const resetAt = reset
+      ? Number(reset) * 1000
+      : retryAfter
+        ? Date.now() + Number(retryAfter) * 1000
+        : null;
+    return new GitHubApiError(`GitHub rate limit exceeded: ${message}`, {
+      code: 'RATE_LIMITED',
+      status: res.status,
+      resetAt,
+    });
+  }
+  if (res.status === 401 || res.status === 403) {
+    return new GitHubApiError(`GitHub authentication failed: ${message}`, {
+      code: 'AUTH_FAILED',
+      status: res.status,
+    });
+  }
+  if (res.status === 404) {
+    return new GitHubApiError(`Not found: ${message}`, {
+      code: 'NOT_FOUND',
+      status: res.status,
+    });
+  }
+  return new GitHubApiError(`GitHub API error: ${message}`, {
+    code: 'HTTP_ERROR',
+    status: res.status,
+  });
+}
+
+/**
+ * Minimal GitHub REST client. The token travels in a header, never on a
+ * command line. `baseUrl` points at GitHub Enterprise
+ * (https://host/api/v3) or a local stand-in server.
+ */
+class GitHubApiClient {
+  constructor({ token, baseUrl, timeoutMs = 10000 } = {}) {
+    this.token = token || null;
+    this.baseUrl = (baseUrl || DEFAULT_API_URL).replace(/\/+$/, '');
+    this.timeoutMs = timeoutMs;
+  }
+
+  async request(method, apiPath, body = null) {
+    const headers = {
+      Accept: 'application/vnd.github+json',
+      'X-GitHub-Api-Version': '2022-11-28',
+      'User-Agent': 'claude-memory',
+    };
+    if (this.token) headers.Authorization = `Bearer ${this.token}`;
+    if (body) headers['Content-Type'] = 'application/json';
+
+    let res;
+    try {
+      res = await fetch(`${this.baseUrl}${apiPath}`, {
+        method,
+        headers,
+        body: body ? JSON.stringify(body) : undefined,
+        signal: AbortSignal.timeout(this.timeoutMs),
+      });
+    } catch (err) {
+      throw new GitHubApiError(`GitHub API unreachable: ${err.message}`, {
+        code: 'NETWORK_ERROR',
+      });
+    }
+
+    const text = await res.text();
+    let data = null;
+    try {
+      data = text ? JSON.parse(text) : null;
+    } catch {
+      data = null;
+    }
+
+    if (!res.ok) throw classify(res, data);
+    return { data, headers: res.headers };
+  }
+
+  async getUser() {
+    return (await this.request('GET', '/user')).data;
+  }
+
+  // `scopes` is null when the token does not report OAuth scopes
+  // (fine-grained tokens and GitHub App tokens)
+  async getUserWithScopes() {
+    const { data, headers } = await this.request('GET', '/user');
+    const header = headers.get('x-oauth-scopes');
+    const scopes =
+      header === null
+        ? null
+        : header
+            .split(',')
+            .map((s) => s.trim())
+            .filter(Boolean);
+    return { user: data, scopes };
+  }
+
+  // null when the repository does not exist or is not visible to the token
+  async getRepo(owner, name) {
+    try {
+      return (await this.request('GET', `/repos/${owner}/${name}`)).data;
+    } catch (err) {
+      if (err.code === 'NOT_FOUND') return null;
+      throw err;
+    }
+  }
+
+  async createRepo(options) {
+    return (await this.request('POST', '/user/repos', options)).data;
+  }
+}
+
+module.exports = { GitHubApiClient, GitHubApiError, DEFAULT_API_URL };
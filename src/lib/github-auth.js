@@ -2,15 +2,35 @@ const { execSync } = require('node:child_process');
 const fs = require('node:fs');
 const path = require('node:path');
 const os = require('node:os');
+const { GitHubApiClient } = require('./github-api');
 
 const TOKEN_FILE = path.join(
   os.homedir(),
   '.claude-memory',
   'github-token.json',
 );
+const DEFAULT_WEB_URL = 'https://github.com';
+const REQUIRED_SCOPE = 'repo';
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
 
 class GitHubAuth {
-  constructor() {
+  /**
+   * `webUrl` hosts the OAuth device flow (github.com or a GitHub Enterprise
+   * server); `clientId` is the OAuth app that login authorizes.
+   */
+  constructor({
+    apiUrl = null,
+    webUrl = null,
+    clientId = null,
+    tokenFile = TOKEN_FILE,
+  } = {}) {
+    this.apiUrl = apiUrl;
+    this.webUrl = (webUrl || DEFAULT_WEB_URL).replace(/\/+$/, '');
+    this.clientId = clientId;
+    this.tokenFile = tokenFile;
     this.ghAvailable = this.checkGhCli();
   }
 
@@ -23,14 +43,28 @@ class GitHubAuth {
     }
   }
 
+  // Where the token comes from: 'env', 'login' (saved by /claude-memory:login),
+  // 'gh' or null. getToken() uses the same order.
+  getAuthSource() {
+    if (process.env.CLAUDE_MEMORY_GITHUB_TOKEN) return 'env';
+    if (fs.existsSync(this.tokenFile)) return 'login';
+    if (this.ghAvailable) return 'gh';
+    return null;
+  }
+
   async getToken() {
-    // 1. Check environment variable
-    if (process.env.CLAUDE_MEMORY_GITHUB_TOKEN) {
+    const source = this.getAuthSource();
+
+    if (source === 'env') {
       return process.env.CLAUDE_MEMORY_GITHUB_TOKEN;
     }
 
-    // 2. Use gh CLI if available
-    if (this.ghAvailable) {
+    if (source === 'login') {
+      const data = JSON.parse(fs.readFileSync(this.tokenFile, 'utf8'));
+      return data.token;
+    }
+
+    if (source === 'gh') {
       try {
         const token = execSync('gh auth token', { encoding: 'utf8' }).trim();
         return token;
@@ -39,121 +73,141 @@ class GitHubAuth {
       }
     }
 
-    // 3. Check saved token file
-    if (fs.existsSync(TOKEN_FILE)) {
-      const data = JSON.parse(fs.readFileSync(TOKEN_FILE, 'utf8'));
-      return data.token;
-    }
-
     throw new Error(
-      'No GitHub authentication found. Please authenticate with gh CLI or set CLAUDE_MEMORY_GITHUB_TOKEN',
+      'No GitHub authentication found. Run /claude-memory:login, authenticate with gh CLI or set CLAUDE_MEMORY_GITHUB_TOKEN',
     );
   }
 
-  saveToken(token) {
-    const dir = path.dirname(TOKEN_FILE);
+  // REST client authenticated with the current token
+  async getClient(token = null) {
+    return new GitHubApiClient({
+      token: token || (await this.getToken()),
+      baseUrl: this.apiUrl,
+    });
+  }
+
+  async getUser() {
+    const client = await this.getClient();
+    return client.getUser();
+  }
+
+  /**
+   * Check that a token works and carries the `repo` scope. Fine-grained
+   * tokens report no scopes, so they are accepted as long as they work.
+   * @returns {Promise<{ login: string, scopes: string[] }>}
+   */
+  async validateToken(token) {
+    const client = await this.getClient(token);
+    const { user, scopes } = await client.getUserWithScopes();
+    if (scopes !== null && !scopes.includes(REQUIRED_SCOPE)) {
+      throw new Error(
+        `Token is missing the "${REQUIRED_SCOPE}" scope (granted: ${scopes.join(', ') || 'none'})`,
+      );
+    }
+    return { login: user.login, scopes: scopes || [] };
+  }
+
+  saveToken(token, details = {}) {
+    const dir = path.dirname(this.tokenFile);
     if (!fs.existsSync(dir)) {
       fs.mkdirSync(dir, { recursive: true });
     }
-    fs.writeFileSync(TOKEN_FILE, JSON.stringify({ token }), { mode: 0o600 });
+    fs.writeFileSync(
+      this.tokenFile,
+      JSON.stringify({ token, ...details, savedAt: Date.now() }),
+      { mode: 0o600 },
+    );
   }
 
-  isAuthenticated() {
-    return (
-      this.ghAvailable ||
-      process.env.CLAUDE_MEMORY_GITHUB_TOKEN ||
-      fs.existsSync(TOKEN_FILE)
-    );
+  // Account recorded at login, without a network round trip
+  getSavedLogin() {
+    if (!fs.existsSync(this.tokenFile)) return null;
+    try {
+      return JSON.parse(fs.readFileSync(this.tokenFile, 'utf8')).login || null;
+    } catch {
+      return null;
+    }
   }
 
-  async initiateDeviceFlow() {
-    const https = require('node:https');
+  // Removes the token saved by login; env and gh tokens are left alone
+  logout() {
+    if (!fs.existsSync(this.tokenFile)) return false;
+    fs.unlinkSync(this.tokenFile);
+    return true;
+  }
 
-    return new Promise((resolve, reject) => {
-      const data = JSON.stringify({
-        client_id: 'Ov23liXXXXXXXXXXXXXX', // TODO: Register GitHub OAuth App
-        scope: 'repo',
-      });
+  isAuthenticated() {
+    return this.getAuthSource() !== null;
+  }
 
-      const options = {
-        hostname: 'github.com',
-        port: 443,
-        path: '/login/device/code',
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Content-Length': data.length,
-          Accept: 'application/json',
-        },
-      };
-
-      const req = https.request(options, (res) => {
-        let body = '';
-        res.on('data', (chunk) => {
-          body += chunk;
-        });
-        res.on('end', () => resolve(JSON.parse(body)));
-      });
+  async postForm(urlPath, params) {
+    const res = await fetch(`${this.webUrl}${urlPath}`, {
+      method: 'POST',
+      headers: {
+        Accept: 'application/json',
+        'Content-Type': 'application/x-www-form-urlencoded',
+      },
+      body: new URLSearchParams(params).toString(),
+      signal: AbortSignal.timeout(10000),
+    });
+    if (!res.ok) {
+      throw new Error(`GitHub device flow failed: HTTP ${res.status}`);
+    }
+    return res.json();
+  }
 
-      req.on('error', reject);
-      req.write(data);
-      req.end();
+  async initiateDeviceFlow() {
+    if (!this.clientId) {
+      throw new Error(
+        'No OAuth client id configured. Set "githubClientId" in settings or CLAUDE_MEMORY_GITHUB_CLIENT_ID',
+      );
+    }
+    const device = await this.postForm('/login/device/code', {
+      client_id: this.clientId,
+      scope: REQUIRED_SCOPE,
     });
+    if (device.error) {
+      throw new Error(device.error_description || device.error);
+    }
+    return device;
   }
 
-  async pollForToken(deviceCode, interval = 5) {
-    const https = require('node:https');
-
-    const poll = () =>
-      new Promise((resolve, reject) => {
-        const data = JSON.stringify({
-          client_id: 'Ov23liXXXXXXXXXXXXXX', // TODO: Same as above
-          device_code: deviceCode,
-          grant_type: 'urn:ietf:params:oauth:grant-type:device_code',
-        });
-
-        const options = {
-          hostname: 'github.com',
-          port: 443,
-          path: '/login/oauth/access_token',
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Content-Length': data.length,
-            Accept: 'application/json',
-          },
-        };
-
-        const req = https.request(options, (res) => {
-          let body = '';
-          res.on('data', (chunk) => {
-            body += chunk;
-          });
-          res.on('end', () => {
-            const result = JSON.parse(body);
-            if (result.access_token) {
-              resolve(result.access_token);
-            } else if (result.error === 'authorization_pending') {
-              resolve(null);
-            } else {
-              reject(new Error(result.error || 'Unknown error'));
-            }
-          });
-        });
-
-        req.on('error', reject);
-        req.write(data);
-        req.end();
+  /**
+   * Poll until the user approves the device code. `slow_down` widens the
+   * interval as GitHub asks; an expired or denied code ends the login.
+   */
+  async pollForToken(device) {
+    let interval = device.interval ?? 5;
+    const expiresAt = Date.now() + (device.expires_in ?? 900) * 1000;
+
+    while (Date.now() < expiresAt) {
+      await sleep(interval * 1000);
+      const result = await this.postForm('/login/oauth/access_token', {
+        client_id: this.clientId,
+        device_code: device.device_code,
+        grant_type: 'urn:ietf:params:oauth:grant-type:device_code',
       });
 
-    // Poll up to 10 minutes
-    for (let i = 0; i < 120; i++) {
-      const token = await poll();
-      if (token) return token;
-      await new Promise((resolve) => setTimeout(resolve, interval * 1000));
+      if (result.access_token) return result.access_token;
+
+      switch (result.error) {
+        case 'authorization_pending':
+          break;
+        case 'slow_down':
+          interval = result.interval ?? interval + 5;
+          break;
+        case 'expired_token':
+          throw new Error('The login code expired. Run login again.');
+        case 'access_denied':
+          throw new Error('Login was cancelled.');
+        default:
+          throw new Error(
+            result.error_description || result.error || 'Unknown error',
+          );
+      }
     }
 
-    throw new Error('Device flow timed out');
+    throw new Error('The login code expired. Run login again.');
   }
 
   async startDeviceFlow() {
@@ -162,10 +216,11 @@ class GitHubAuth {
     console.log(`Visit: ${device.verification_uri}`);
     console.log(`Enter code: ${device.user_code}\n`);
 
-    const token = await this.pollForToken(device.device_code, device.interval);
-    this.saveToken(token);
-    return token;
+    const token = await this.pollForToken(device);
+    const details = await this.validateToken(token);
+    this.saveToken(token, details);
+    return details;
   }
 }
 
-module.exports = { GitHubAuth };
+module.exports = { GitHubAuth, TOKEN_FILE };
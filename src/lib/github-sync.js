@@ -1,18 +1,134 @@
 const simpleGit = require('simple-git');
-const { execSync } = require('node:child_process');
 const path = require('node:path');
 const fs = require('node:fs');
 const os = require('node:os');
 
 const SYNC_DIR = path.join(os.homedir(), '.claude-memory', 'repo');
-const DEFAULT_REPO_NAME = 'claude-memory-storage';
+const DEFAULT_BRANCH = 'main';
 
+const LAYOUT_FILE = 'layout.json';
+const ENCRYPTION_FILE = 'encryption.json';
+// Sealed when encryption is on; ids, containers and timestamps stay
+// readable for file layout and merging
+const MEMORY_FIELDS = ['content', 'metadata', 'tags', 'revisions'];
+const FACT_FIELDS = ['fact'];
+
+function yearMonth(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+
+function readPack(filepath) {
+  if (!fs.existsSync(filepath)) return [];
+  return fs
+    .readFileSync(filepath, 'utf8')
+    .split('\n')
+    .filter((line) => line.trim())
+    .map((line) => JSON.parse(line));
+}
+
+// One record per id when a memory is present in both layouts (mid-repack,
+// or written by an older client): a purge stub wins, then the newest copy
+function latestRecords(records) {
+  const byId = new Map();
+  for (const record of records) {
+    const current = byId.get(record.id);
+    if (
+      !current ||
+      (record.purged && !current.purged) ||
+      (!current.purged && record.updatedAt > current.updatedAt)
+    ) {
+      byId.set(record.id, record);
+    }
+  }
+  return [...byId.values()];
+}
+
+// Row from SqliteManager.getPendingSync() -> exported JSON
+function memoryRecord(memory) {
+  const record = {
+    id: memory.id,
+    content: memory.content,
+    containerTag: memory.container_tag,
+    metadata:
+      typeof memory.metadata === 'string'
+        ? JSON.parse(memory.metadata)
+        : memory.metadata,
+    tags: memory.tags || [],
+    revisions: (memory.revisions || []).map((rev) => ({
+      revision: rev.revision,
+      content: rev.content,
+      metadata:
+        typeof rev.metadata === 'string'
+          ? JSON.parse(rev.metadata)
+          : rev.metadata,
+      source: rev.source,
+      updatedAt: rev.updated_at,
+      recordedAt: rev.recorded_at,
+    })),
+    createdAt: memory.created_at,
+    updatedAt: memory.updated_at,
+  };
+  if (memory.deleted_at) record.deletedAt = memory.deleted_at;
+  return record;
+}
+
+function tombstoneRecord(tombstone) {
+  return {
+    id: tombstone.memory_id,
+    containerTag: tombstone.container_tag,
+    createdAt: tombstone.created_at,
+    deletedAt: tombstone.deleted_at,
+    purged: true,
+  };
+}
+
+// Exported JSON -> row shape used by StorageClient.mergeRemoteMemories()
+function parseMemory(data) {
+  if (data.purged) {
+    return {
+      id: data.id,
+      container_tag: data.containerTag,
+      created_at: data.createdAt,
+      deleted_at: data.deletedAt,
+      purged: true,
+    };
+  }
+  return {
+    id: data.id,
+    content: data.content,
+    container_tag: data.containerTag,
+    metadata: JSON.stringify(data.metadata || {}),
+    tags: Array.isArray(data.tags) ? data.tags : [],
+    revisions: Array.isArray(data.revisions) ? data.revisions : [],
+    created_at: data.createdAt,
+    updated_at: data.updatedAt,
+    deleted_at: data.deletedAt || null,
+    sync_status: 'synced',
+    synced_at: Date.now(),
+  };
+}
+
+/**
+ * Mirrors memories into a git working copy and pushes it to the remote
+ * supplied by `provider` (see git-remote.js).
+ */
 class GitHubSync {
-  constructor(auth, repoOwner = null, repoName = DEFAULT_REPO_NAME) {
-    this.auth = auth;
-    this.repoOwner = repoOwner;
-    this.repoName = repoName;
-    this.syncDir = SYNC_DIR;
+  constructor(
+    provider,
+    {
+      branch = DEFAULT_BRANCH,
+      syncDir = SYNC_DIR,
+      layout = 'files',
+      policy = null,
+      keyring = null,
+    } = {},
+  ) {
+    this.provider = provider;
+    this.branch = branch;
+    this.syncDir = syncDir;
+    this.layout = layout;
+    this.policy = policy;
+    this.keyring = keyring;
     this._git = null;
   }
 
@@ -23,6 +139,12 @@ class GitHubSync {
     return this._git;
   }
 
+  // For commands that reach the remote: adds the provider's credentials
+  async remoteGit(dir = this.syncDir) {
+    const env = await this.provider.getGitEnv();
+    return simpleGit(dir).env({ ...process.env, ...env });
+  }
+
   async ensureRepo() {
     // Check if repo directory exists and is git repo
     if (
@@ -32,155 +154,348 @@ class GitHubSync {
       return true;
     }
 
-    // Get authenticated user
-    if (!this.repoOwner) {
-      const token = await this.auth.getToken();
-      const user = JSON.parse(
-        execSync(`gh api user --header "Authorization: Bearer ${token}"`, {
-          encoding: 'utf8',
-        }),
-      );
-      this.repoOwner = user.login;
+    const repoUrl = await this.provider.getRemoteUrl();
+    await this.cloneRepo(repoUrl);
+    return true;
+  }
+
+  async cloneRepo(repoUrl) {
+    // Ensure parent directory exists
+    const parentDir = path.dirname(this.syncDir);
+    if (!fs.existsSync(parentDir)) {
+      fs.mkdirSync(parentDir, { recursive: true });
     }
 
-    // Check if remote repo exists
-    const repoExists = await this.checkRepoExists();
+    await (await this.remoteGit(parentDir)).clone(repoUrl, this.syncDir);
 
-    if (!repoExists) {
-      // Create repo
-      const created = await this.createRepo();
-      if (!created) return false;
-    }
+    // Configure git user
+    await this.git.addConfig('user.name', 'Claude Code');
+    await this.git.addConfig('user.email', 'noreply@anthropic.com');
 
-    // Clone repo
-    await this.cloneRepo();
-    return true;
+    // The clone checks out the remote's default branch, if it has any
+    if (await this.remoteHasBranch()) {
+      await this.git.raw([
+        'checkout',
+        '-B',
+        this.branch,
+        `origin/${this.branch}`,
+      ]);
+    } else if (await this.hasCommits()) {
+      await this.git.checkoutLocalBranch(this.branch);
+    } else {
+      // Empty repository: name the unborn branch
+      await this.git.raw(['symbolic-ref', 'HEAD', `refs/heads/${this.branch}`]);
+    }
   }
 
-  async checkRepoExists() {
+  async hasCommits() {
     try {
-      const token = await this.auth.getToken();
-      execSync(
-        `gh api repos/${this.repoOwner}/${this.repoName} --header "Authorization: Bearer ${token}"`,
-        { stdio: 'pipe' },
-      );
+      await this.git.revparse(['--verify', 'HEAD']);
       return true;
     } catch {
       return false;
     }
   }
 
-  async createRepo() {
-    try {
-      const token = await this.auth.getToken();
-      const data = JSON.stringify({
-        name: this.repoName,
-        private: true,
-        description:
-          'Claude Code memory storage - persistent context across sessions',
-        auto_init: true,
-      });
-
-      execSync(
-        `gh api user/repos --method POST --input - --header "Authorization: Bearer ${token}"`,
-        {
-          input: data,
-          stdio: 'pipe',
-        },
-      );
-
-      console.log(
-        `Created private repository: ${this.repoOwner}/${this.repoName}`,
-      );
-      return true;
-    } catch (err) {
-      console.error('Failed to create repository:', err.message);
-      return false;
-    }
+  async remoteHasBranch() {
+    const git = await this.remoteGit();
+    const heads = await git.raw([
+      'ls-remote',
+      '--heads',
+      'origin',
+      this.branch,
+    ]);
+    return heads.trim().length > 0;
   }
 
-  async cloneRepo() {
-    const repoUrl = `https://github.com/${this.repoOwner}/${this.repoName}.git`;
-
-    // Ensure parent directory exists
-    const parentDir = path.dirname(this.syncDir);
-    if (!fs.existsSync(parentDir)) {
-      fs.mkdirSync(parentDir, { recursive: true });
+  /**
+   * 'files' (one JSON file per memory) or 'packed' (one JSONL file per
+   * container per month). A layout.json written by repack() wins over the
+   * local setting, so every machine follows the repo.
+   */
+  getLayout() {
+    const marker = path.join(this.syncDir, LAYOUT_FILE);
+    if (fs.existsSync(marker)) {
+      try {
+        return JSON.parse(fs.readFileSync(marker, 'utf8')).layout;
+      } catch {}
     }
-
-    await simpleGit().clone(repoUrl, this.syncDir);
-
-    // Configure git user
-    await this.git.addConfig('user.name', 'Claude Code');
-    await this.git.addConfig('user.email', 'noreply@anthropic.com');
+    return this.layout;
   }
 
-  exportMemory(memory) {
-    const date = new Date(memory.created_at);
-    const yearMonth = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+  // memories/<container>/<YYYY-MM>/<DD>-<id>.json, keyed by creation date
+  recordPath(record) {
+    const date = new Date(record.createdAt);
     const day = String(date.getDate()).padStart(2, '0');
+    return path.join(
+      this.syncDir,
+      'memories',
+      record.containerTag,
+      yearMonth(date),
+      `${day}-${record.id}.json`,
+    );
+  }
 
-    const memoryDir = path.join(
+  // memories/<container>/<YYYY-MM>.jsonl
+  packPath(record) {
+    return path.join(
       this.syncDir,
       'memories',
-      memory.container_tag,
-      yearMonth,
+      record.containerTag,
+      `${yearMonth(new Date(record.createdAt))}.jsonl`,
     );
+  }
 
-    if (!fs.existsSync(memoryDir)) {
-      fs.mkdirSync(memoryDir, { recursive: true });
+  /**
+   * Write records in the repo's layout and return the files touched. Pack
+   * files are rewritten sorted by creation time, so new memories land at
+   * the end and unchanged lines stay put.
+   */
+  exportRecords(records, layout = this.getLayout()) {
+    const files = [];
+    records = records.map((record) =>
+      record.purged ? record : this.seal(record, MEMORY_FIELDS),
+    );
+
+    if (layout !== 'packed') {
+      for (const record of records) {
+        const filepath = this.recordPath(record);
+        fs.mkdirSync(path.dirname(filepath), { recursive: true });
+        fs.writeFileSync(filepath, JSON.stringify(record, null, 2));
+        files.push(filepath);
+      }
+      return files;
     }
 
-    const filename = `${day}-${memory.id}.json`;
-    const filepath = path.join(memoryDir, filename);
+    const packs = new Map();
+    for (const record of records) {
+      const filepath = this.packPath(record);
+      if (!packs.has(filepath)) packs.set(filepath, []);
+      packs.get(filepath).push(record);
+    }
 
-    const data = {
-      id: memory.id,
-      content: memory.content,
-      containerTag: memory.container_tag,
-      metadata:
-        typeof memory.metadata === 'string'
-          ? JSON.parse(memory.metadata)
-          : memory.metadata,
-      createdAt: memory.created_at,
-      updatedAt: memory.updated_at,
-    };
+    for (const [filepath, packRecords] of packs) {
+      const byId = new Map(
+        readPack(filepath).map((record) => [record.id, record]),
+      );
+      for (const record of packRecords) byId.set(record.id, record);
 
-    fs.writeFileSync(filepath, JSON.stringify(data, null, 2));
-    return filepath;
+      const lines = [...byId.values()]
+        .sort((a, b) => a.createdAt - b.createdAt || a.id.localeCompare(b.id))
+        .map((record) => JSON.stringify(record));
+      fs.mkdirSync(path.dirname(filepath), { recursive: true });
+      fs.writeFileSync(filepath, `${lines.join('\n')}\n`);
+      files.push(filepath);
+    }
+    return files;
   }
 
-  exportMemories(memories) {
+  /**
+   * Remove the copy a re-tagged memory left under its old container
+   * (`moved_from`), in whichever layout it was written. Returns the files
+   * changed.
+   */
+  removeStaleCopies(memories) {
     const files = [];
     for (const memory of memories) {
-      const filepath = this.exportMemory(memory);
-      files.push(filepath);
+      if (!memory.moved_from || memory.moved_from === memory.container_tag) {
+        continue;
+      }
+      const stale = {
+        id: memory.id,
+        containerTag: memory.moved_from,
+        createdAt: memory.created_at,
+      };
+
+      const filepath = this.recordPath(stale);
+      if (fs.existsSync(filepath)) {
+        fs.unlinkSync(filepath);
+        files.push(filepath);
+      }
+
+      const pack = this.packPath(stale);
+      const records = readPack(pack);
+      const kept = records.filter((record) => record.id !== memory.id);
+      if (kept.length < records.length) {
+        if (kept.length > 0) {
+          fs.writeFileSync(
+            pack,
+            `${kept.map((record) => JSON.stringify(record)).join('\n')}\n`,
+          );
+        } else {
+          fs.unlinkSync(pack);
+        }
+        files.push(pack);
+      }
     }
     return files;
   }
 
-  exportProfiles(profiles) {
+  // The repo's encryption.json: algorithm, current key id and the salts
+  // other machines need to derive each key. null when not encrypted.
+  readEncryptionInfo() {
+    try {
+      return JSON.parse(
+        fs.readFileSync(path.join(this.syncDir, ENCRYPTION_FILE), 'utf8'),
+      );
+    } catch {
+      return null;
+    }
+  }
+
+  writeEncryptionInfo() {
+    const info = {
+      algorithm: 'aes-256-gcm',
+      kdf: 'scrypt',
+      current: this.keyring.currentKey.id,
+      keys: this.keyring.publicKeys(),
+    };
+    fs.writeFileSync(
+      path.join(this.syncDir, ENCRYPTION_FILE),
+      `${JSON.stringify(info, null, 2)}\n`,
+    );
+  }
+
+  // Why this machine must not read or write the repo, or null
+  encryptionError() {
+    const info = this.readEncryptionInfo();
+    if (info && !this.keyring?.hasKey(info.current)) {
+      return 'The sync repository is encrypted with a key this machine does not have. Run /claude-memory:encryption enable with the passphrase.';
+    }
+    return null;
+  }
+
+  seal(record, fields) {
+    if (!this.keyring?.active || record.encrypted) return record;
+    const hidden = {};
+    const visible = { ...record };
+    for (const field of fields) {
+      if (field in visible) {
+        hidden[field] = visible[field];
+        delete visible[field];
+      }
+    }
+    return { ...visible, encrypted: this.keyring.seal(hidden, record.id) };
+  }
+
+  unseal(record) {
+    if (!record.encrypted) return record;
+    const { encrypted, ...visible } = record;
+    if (!this.keyring?.hasKey(encrypted.kid)) {
+      throw new Error(
+        `${record.id} is encrypted with key ${encrypted.kid}, which this machine does not have. Run /claude-memory:encryption enable with the passphrase.`,
+      );
+    }
+    return { ...visible, ...this.keyring.open(encrypted, record.id) };
+  }
+
+  exportMemory(memory) {
+    return this.exportRecords([memoryRecord(memory)])[0];
+  }
+
+  // A purged memory's entry is replaced by a stub so other machines drop it
+  exportTombstone(tombstone) {
+    return this.exportRecords([tombstoneRecord(tombstone)])[0];
+  }
+
+  exportMemories(memories) {
+    return this.exportRecords(memories.map(memoryRecord));
+  }
+
+  /**
+   * Write profile facts to profiles/<container>.json, one file per
+   * container. Facts already in the file are kept unless the exported
+   * copy is newer, so facts from other machines are never dropped.
+   */
+  exportProfiles(facts) {
     const profileDir = path.join(this.syncDir, 'profiles');
     if (!fs.existsSync(profileDir)) {
       fs.mkdirSync(profileDir, { recursive: true });
     }
 
-    const filepath = path.join(profileDir, 'user-preferences.json');
-    fs.writeFileSync(filepath, JSON.stringify(profiles, null, 2));
-    return filepath;
+    const byContainer = new Map();
+    for (const fact of facts) {
+      if (!byContainer.has(fact.container_tag)) {
+        byContainer.set(fact.container_tag, []);
+      }
+      byContainer.get(fact.container_tag).push(fact);
+    }
+
+    const files = [];
+    for (const [containerTag, containerFacts] of byContainer) {
+      const filepath = path.join(profileDir, `${containerTag}.json`);
+      const existing = fs.existsSync(filepath)
+        ? JSON.parse(fs.readFileSync(filepath, 'utf8')).facts || []
+        : [];
+      const merged = new Map(existing.map((f) => [f.id, f]));
+
+      for (const fact of containerFacts) {
+        const current = merged.get(fact.id);
+        if (current && current.updatedAt > fact.updated_at) continue;
+        merged.set(
+          fact.id,
+          this.seal(
+            {
+              id: fact.id,
+              fact: fact.fact,
+              type: fact.type,
+              createdAt: fact.created_at,
+              updatedAt: fact.updated_at,
+              deletedAt: fact.deleted_at || null,
+            },
+            FACT_FIELDS,
+          ),
+        );
+      }
+
+      const data = {
+        containerTag,
+        facts: [...merged.values()].sort((a, b) => a.createdAt - b.createdAt),
+      };
+      fs.writeFileSync(filepath, JSON.stringify(data, null, 2));
+      files.push(filepath);
+    }
+    return files;
   }
 
-  async syncToGitHub(memories, profiles = null) {
+  async syncToGitHub(memories, profiles = null, tombstones = []) {
+    // StorageClient filters already; this keeps local-only projects out of
+    // the repo for any other caller
+    if (this.policy) {
+      memories = memories.filter((m) => this.policy.allows(m));
+      tombstones = tombstones.filter((t) =>
+        this.policy.isSynced(t.container_tag),
+      );
+      profiles = profiles?.filter((f) => this.policy.isSynced(f.container_tag));
+    }
+
     try {
       await this.ensureRepo();
 
-      // Export memories to JSON
-      const files = this.exportMemories(memories);
+      // Never write plaintext into an encrypted repo
+      const locked = this.encryptionError();
+      if (locked) return { success: false, error: locked };
+
+      // Export memories and purge stubs
+      const files = this.exportRecords([
+        ...memories.map(memoryRecord),
+        ...tombstones.map(tombstoneRecord),
+      ]);
+      files.push(...this.removeStaleCopies(memories));
 
-      // Export profiles if provided
+      // Export profile facts if provided
       if (profiles) {
-        const profileFile = this.exportProfiles(profiles);
-        files.push(profileFile);
+        files.push(...this.exportProfiles(profiles));
+      }
+
+      // Lets other machines derive the key this export is sealed with
+      if (
+        files.length > 0 &&
+        this.keyring?.active &&
+        this.readEncryptionInfo()?.current !== this.keyring.currentKey.id
+      ) {
+        this.writeEncryptionInfo();
+        files.push(path.join(this.syncDir, ENCRYPTION_FILE));
       }
 
       if (files.length === 0) {
@@ -194,14 +509,29 @@ class GitHubSync {
       }
 
       // Git commit
-      const containerTags = [...new Set(memories.map((m) => m.container_tag))];
-      const message = `Session memories: ${containerTags.join(', ')} (${memories.length} new)`;
+      const containerTags = [
+        ...new Set([
+          ...memories.map((m) => m.container_tag),
+          ...tombstones.map((t) => t.container_tag),
+          ...(profiles || []).map((f) => f.container_tag),
+        ]),
+      ];
+      let message = `Session memories: ${containerTags.join(', ')} (${memories.length} new)`;
+      if (tombstones.length > 0) message += ` (${tombstones.length} purged)`;
+      if (profiles?.length > 0) {
+        message += ` (${profiles.length} profile facts)`;
+      }
       await this.git.commit(message);
 
       // Git push
-      await this.git.push('origin', 'main');
-
-      return { success: true, synced: memories.length };
+      await (await this.remoteGit()).push('origin', this.branch);
+
+      return {
+        success: true,
+        synced: memories.length,
+        purged: tombstones.length,
+        profiles: profiles?.length || 0,
+      };
     } catch (err) {
       console.error('GitHub sync failed:', err.message);
       return { success: false, error: err.message };
@@ -211,9 +541,15 @@ class GitHubSync {
   async pullFromGitHub() {
     try {
       await this.ensureRepo();
-      await this.git.pull('origin', 'main');
+      // Nothing to pull until the first push creates the branch
+      if (!(await this.remoteHasBranch())) return { success: true };
+      await (await this.remoteGit()).pull('origin', this.branch);
       return { success: true };
     } catch (err) {
+      const status = await this.git.status().catch(() => null);
+      if (status?.conflicted.length > 0) {
+        return this.takeRemoteFiles(status.conflicted);
+      }
       if (err.message.includes('conflict')) {
         return { success: false, conflict: true, error: err.message };
       }
@@ -221,62 +557,259 @@ class GitHubSync {
     }
   }
 
-  importMemories() {
+  /**
+   * Finish a conflicted pull by taking the remote side of each file. Local
+   * edits are still pending in the database, so the memory-level merge
+   * records them as conflicts instead of losing them.
+   */
+  async takeRemoteFiles(files) {
+    try {
+      for (const file of files) {
+        await this.git.raw(['checkout', '--theirs', '--', file]);
+        await this.git.add(file);
+      }
+      await this.git.commit('Merge remote memories');
+      return { success: true, conflictedFiles: files };
+    } catch (err) {
+      return { success: false, conflict: true, error: err.message };
+    }
+  }
+
+  /**
+   * Exported records from both layouts. `files` (repo-relative paths, as
+   * from changedFiles()) limits the read to those files; otherwise
+   * everything under memories/ is read.
+   */
+  readRecords(files = null) {
     const memoriesDir = path.join(this.syncDir, 'memories');
     if (!fs.existsSync(memoriesDir)) {
       return [];
     }
 
-    const memories = [];
-
-    const readDir = (dir) => {
-      const entries = fs.readdirSync(dir, { withFileTypes: true });
-
-      for (const entry of entries) {
-        const fullPath = path.join(dir, entry.name);
-
-        if (entry.isDirectory()) {
-          readDir(fullPath);
-        } else if (entry.name.endsWith('.json')) {
-          try {
-            const data = JSON.parse(fs.readFileSync(fullPath, 'utf8'));
-            memories.push({
-              id: data.id,
-              content: data.content,
-              container_tag: data.containerTag,
-              metadata: JSON.stringify(data.metadata || {}),
-              created_at: data.createdAt,
-              updated_at: data.updatedAt,
-              sync_status: 'synced',
-              synced_at: Date.now(),
-            });
-          } catch (err) {
-            console.error(`Failed to parse ${fullPath}:`, err.message);
+    const isMemoryFile = (name) =>
+      name.endsWith('.json') || name.endsWith('.jsonl');
+    const paths = [];
+    if (files) {
+      for (const file of files) {
+        if (!file.startsWith('memories/') || !isMemoryFile(file)) continue;
+        const fullPath = path.join(this.syncDir, file);
+        if (fs.existsSync(fullPath)) paths.push(fullPath);
+      }
+    } else {
+      const readDir = (dir) => {
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+          const fullPath = path.join(dir, entry.name);
+          if (entry.isDirectory()) {
+            readDir(fullPath);
+          } else if (isMemoryFile(entry.name)) {
+            paths.push(fullPath);
           }
         }
+      };
+      readDir(memoriesDir);
+    }
+
+    const records = [];
+    for (const fullPath of paths) {
+      try {
+        if (fullPath.endsWith('.jsonl')) {
+          records.push(...readPack(fullPath));
+        } else {
+          records.push(JSON.parse(fs.readFileSync(fullPath, 'utf8')));
+        }
+      } catch (err) {
+        console.error(`Failed to parse ${fullPath}:`, err.message);
       }
-    };
+    }
+    return records;
+  }
 
-    readDir(memoriesDir);
-    return memories;
+  importMemories(files = null) {
+    return latestRecords(this.readRecords(files)).map((record) =>
+      parseMemory(this.unseal(record)),
+    );
   }
 
-  importProfiles() {
-    const profileFile = path.join(
-      this.syncDir,
-      'profiles',
-      'user-preferences.json',
+  /**
+   * Secrets in the working copy's memory records. With `fix`, the records
+   * are rewritten redacted and pushed in one commit. Earlier commits keep
+   * the old text; only rewriting history removes it from the remote.
+   * Returns null when there is no working copy yet.
+   */
+  async scanSecrets(redact, { fix = false } = {}) {
+    if (!fs.existsSync(path.join(this.syncDir, '.git'))) return null;
+
+    const records = [];
+    const redacted = [];
+    for (const stored of latestRecords(this.readRecords())) {
+      if (stored.purged) continue;
+      const record = this.unseal(stored);
+      const findings = [];
+      const clean = (text) => {
+        const result = redact(text);
+        findings.push(...result.findings);
+        return result.text;
+      };
+      const copy = {
+        ...record,
+        content: clean(record.content),
+        metadata: Object.fromEntries(
+          Object.entries(record.metadata || {}).map(([key, value]) => [
+            key,
+            typeof value === 'string' ? clean(value) : value,
+          ]),
+        ),
+        revisions: (record.revisions || []).map((rev) => ({
+          ...rev,
+          content: clean(rev.content),
+        })),
+      };
+      if (findings.length === 0) continue;
+      records.push({ id: record.id, types: [...new Set(findings)] });
+      redacted.push(copy);
+    }
+
+    if (!fix || redacted.length === 0) {
+      return { records, committed: false };
+    }
+
+    this.exportRecords(redacted);
+    await this.git.add(['-A', 'memories']);
+    await this.git.commit(`Redact secrets in ${redacted.length} memories`);
+    await (await this.remoteGit()).push('origin', this.branch);
+    return { records, committed: true };
+  }
+
+  /**
+   * Seal everything in the repo with the current key (after enabling
+   * encryption or rotating the key) and record it in encryption.json.
+   */
+  async reencrypt() {
+    const records = latestRecords(this.readRecords()).map((record) =>
+      this.unseal(record),
     );
-    if (!fs.existsSync(profileFile)) {
-      return { static: [], dynamic: [] };
+    fs.rmSync(path.join(this.syncDir, 'memories'), {
+      recursive: true,
+      force: true,
+    });
+    this.exportRecords(records);
+
+    const profileDir = path.join(this.syncDir, 'profiles');
+    const profileFiles = fs.existsSync(profileDir)
+      ? fs.readdirSync(profileDir).filter((name) => name.endsWith('.json'))
+      : [];
+    for (const name of profileFiles) {
+      const filepath = path.join(profileDir, name);
+      const data = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+      if (!Array.isArray(data.facts)) continue;
+      data.facts = data.facts.map((fact) =>
+        this.seal(this.unseal(fact), FACT_FIELDS),
+      );
+      fs.writeFileSync(filepath, JSON.stringify(data, null, 2));
     }
 
+    this.writeEncryptionInfo();
+    await this.git.add(['-A']);
+    await this.git.commit(
+      `Encrypt memories with key ${this.keyring.currentKey.id}`,
+    );
+    await (await this.remoteGit()).push('origin', this.branch);
+    return { memories: records.length, keyId: this.keyring.currentKey.id };
+  }
+
+  /**
+   * Rewrite every memory into `layout` in one commit and record the layout
+   * in layout.json. If a memory is present in both layouts, the newer copy
+   * (or a purge stub) is kept.
+   */
+  async repack(layout) {
+    const records = latestRecords(this.readRecords());
+
+    fs.rmSync(path.join(this.syncDir, 'memories'), {
+      recursive: true,
+      force: true,
+    });
+    this.exportRecords(records, layout);
+    fs.writeFileSync(
+      path.join(this.syncDir, LAYOUT_FILE),
+      `${JSON.stringify({ layout }, null, 2)}\n`,
+    );
+
+    await this.git.add(['-A', 'memories', LAYOUT_FILE]);
+    await this.git.commit(`Repack memories into ${layout} layout`);
+    await (await this.remoteGit()).push('origin', this.branch);
+    return { memories: records.length, layout };
+  }
+
+  // null before the first commit
+  async getHead() {
     try {
-      return JSON.parse(fs.readFileSync(profileFile, 'utf8'));
-    } catch (err) {
-      console.error('Failed to parse profiles:', err.message);
-      return { static: [], dynamic: [] };
+      return (await this.git.revparse(['HEAD'])).trim();
+    } catch {
+      return null;
+    }
+  }
+
+  // Repo-relative paths added or modified between `since` and HEAD
+  async changedFiles(since) {
+    const output = await this.git.raw([
+      'diff',
+      '--name-status',
+      '--no-renames',
+      since,
+      'HEAD',
+      '--',
+      'memories',
+      'profiles',
+    ]);
+    const files = [];
+    for (const line of output.split('\n')) {
+      const [status, file] = line.split('\t');
+      if (file && status !== 'D') files.push(file);
+    }
+    return files;
+  }
+
+  // Facts from profiles/<container>.json (all, or only those in `files`),
+  // including deleted ones
+  importProfiles(files = null) {
+    const profileDir = path.join(this.syncDir, 'profiles');
+    if (!fs.existsSync(profileDir)) {
+      return [];
+    }
+
+    const names = files
+      ? files
+          .filter((f) => path.dirname(f) === 'profiles')
+          .map((f) => path.basename(f))
+          .filter((name) => fs.existsSync(path.join(profileDir, name)))
+      : fs.readdirSync(profileDir);
+
+    const facts = [];
+    for (const name of names) {
+      if (!name.endsWith('.json')) continue;
+      const filepath = path.join(profileDir, name);
+      try {
+        const data = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+        // Skips the old flat user-preferences.json, which had no ids
+        if (!Array.isArray(data.facts)) continue;
+        for (const sealed of data.facts) {
+          const fact = this.unseal(sealed);
+          facts.push({
+            id: fact.id,
+            container_tag: data.containerTag,
+            fact: fact.fact,
+            type: fact.type || 'static',
+            created_at: fact.createdAt,
+            updated_at: fact.updatedAt,
+            deleted_at: fact.deletedAt || null,
+          });
+        }
+      } catch (err) {
+        console.error(`Failed to parse ${filepath}:`, err.message);
+      }
     }
+    return facts;
   }
 }
 
@@ -0,0 +1,497 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const Database = require('better-sqlite3');
+const { codeTerms } = require('./fts-query');
+
+// Ordered schema migrations. Each entry is applied exactly once and bumps
+// PRAGMA user_version to its `version`.
+// Never edit a migration that has shipped - append a new one instead.
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'initial-schema',
+    up(db) {
+      // IF NOT EXISTS so databases created before versioning are adopted as-is
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS memories (
+          id TEXT PRIMARY KEY,
+          content TEXT NOT NULL,
+          container_tag TEXT NOT NULL,
+          metadata TEXT,
+          created_at INTEGER NOT NULL,
+          updated_at INTEGER NOT NULL,
+          synced_at INTEGER,
+          sync_status TEXT DEFAULT 'pending'
+        );
+
+        CREATE TABLE IF NOT EXISTS profiles (
+          id TEXT PRIMARY KEY,
+          container_tag TEXT NOT NULL,
+          fact TEXT NOT NULL,
+          type TEXT DEFAULT 'static',
+          created_at INTEGER NOT NULL,
+          synced_at INTEGER
+        );
+
+        CREATE TABLE IF NOT EXISTS sync_state (
+          key TEXT PRIMARY KEY,
+          value TEXT,
+          updated_at INTEGER
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_memories_container ON memories(container_tag);
+        CREATE INDEX IF NOT EXISTS idx_memories_created ON memories(created_at);
+        CREATE INDEX IF NOT EXISTS idx_memories_sync_status ON memories(sync_status);
+        CREATE INDEX IF NOT EXISTS idx_profiles_container ON profiles(container_tag);
+
+        CREATE VIRTUAL TABLE IF NOT EXISTS memories_fts USING fts5(
+          content,
+          container_tag,
+          content=memories,
+          content_rowid=rowid
+        );
+
+        CREATE TRIGGER IF NOT EXISTS memories_ai AFTER INSERT ON memories BEGIN
+          INSERT INTO memories_fts(rowid, content, container_tag)
+          VALUES (new.rowid, new.content, new.container_tag);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS memories_ad AFTER DELETE ON memories BEGIN
+          DELETE FROM memories_fts WHERE rowid = old.rowid;
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS memories_au AFTER UPDATE ON memories BEGIN
+          UPDATE memories_fts SET content = new.content, container_tag = new.container_tag
+          WHERE rowid = new.rowid;
+        END;
+      `);
+    },
+  },
+  {
+    version: 2,
+    name: 'fix-fts-sync-triggers',
+    up(db) {
+      // memories_fts is an external-content table: rows must be removed with
+      // the special 'delete' command, a plain UPDATE/DELETE corrupts the index
+      db.exec(`
+        DROP TRIGGER IF EXISTS memories_ad;
+        DROP TRIGGER IF EXISTS memories_au;
+
+        CREATE TRIGGER memories_ad AFTER DELETE ON memories BEGIN
+          INSERT INTO memories_fts(memories_fts, rowid, content, container_tag)
+          VALUES ('delete', old.rowid, old.content, old.container_tag);
+        END;
+
+        CREATE TRIGGER memories_au AFTER UPDATE ON memories BEGIN
+          INSERT INTO memories_fts(memories_fts, rowid, content, container_tag)
+          VALUES ('delete', old.rowid, old.content, old.container_tag);
+          INSERT INTO memories_fts(rowid, content, container_tag)
+          VALUES (new.rowid, new.content, new.container_tag);
+        END;
+
+        INSERT INTO memories_fts(memories_fts) VALUES ('rebuild');
+      `);
+    },
+  },
+  {
+    version: 3,
+    name: 'observations-buffer',
+    up(db) {
+      db.exec(`
+        CREATE TABLE observations (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          session_id TEXT NOT NULL,
+          container_tag TEXT NOT NULL,
+          tool TEXT NOT NULL,
+          summary TEXT NOT NULL,
+          metadata TEXT,
+          created_at INTEGER NOT NULL
+        );
+
+        CREATE INDEX idx_observations_session ON observations(session_id);
+      `);
+    },
+  },
+  {
+    version: 4,
+    name: 'session-injections',
+    up(db) {
+      db.exec(`
+        CREATE TABLE session_injections (
+          session_id TEXT NOT NULL,
+          memory_id TEXT NOT NULL,
+          injected_at INTEGER NOT NULL,
+          PRIMARY KEY (session_id, memory_id)
+        );
+      `);
+    },
+  },
+  {
+    version: 5,
+    name: 'memory-embeddings',
+    up(db) {
+      db.exec(`
+        CREATE TABLE memory_embeddings (
+          memory_id TEXT PRIMARY KEY,
+          model TEXT NOT NULL,
+          dims INTEGER NOT NULL,
+          vector BLOB NOT NULL,
+          updated_at INTEGER NOT NULL
+        );
+
+        CREATE TRIGGER memories_embeddings_ad AFTER DELETE ON memories BEGIN
+          DELETE FROM memory_embeddings WHERE memory_id = old.id;
+        END;
+      `);
+    },
+  },
+  {
+    version: 6,
+    name: 'code-aware-fts',
+    up(db) {
+      // search_text holds split identifiers (see codeTerms) and is indexed
+      // alongside content so "storage client" finds StorageClient
+      db.exec(`
+        ALTER TABLE memories ADD COLUMN search_text TEXT NOT NULL DEFAULT '';
+
+        DROP TRIGGER IF EXISTS memories_ai;
+        DROP TRIGGER IF EXISTS memories_ad;
+        DROP TRIGGER IF EXISTS memories_au;
+        DROP TABLE IF EXISTS memories_fts;
+      `);
+
+      const rows = db.prepare('SELECT id, content FROM memories').all();
+      const update = db.prepare(
+        'UPDATE memories SET search_text = ? WHERE id = ?',
+      );
+      for (const row of rows) update.run(codeTerms(row.content), row.id);
+
+      db.exec(`
+        CREATE VIRTUAL TABLE memories_fts USING fts5(
+          content,
+          container_tag,
+          search_text,
+          content=memories,
+          content_rowid=rowid
+        );
+
+        CREATE TRIGGER memories_ai AFTER INSERT ON memories BEGIN
+          INSERT INTO memories_fts(rowid, content, container_tag, search_text)
+          VALUES (new.rowid, new.content, new.container_tag, new.search_text);
+        END;
+
+        CREATE TRIGGER memories_ad AFTER DELETE ON memories BEGIN
+          INSERT INTO memories_fts(memories_fts, rowid, content, container_tag, search_text)
+          VALUES ('delete', old.rowid, old.content, old.container_tag, old.search_text);
+        END;
+
+        CREATE TRIGGER memories_au AFTER UPDATE ON memories BEGIN
+          INSERT INTO memories_fts(memories_fts, rowid, content, container_tag, search_text)
+          VALUES ('delete', old.rowid, old.content, old.container_tag, old.search_text);
+          INSERT INTO memories_fts(rowid, content, container_tag, search_text)
+          VALUES (new.rowid, new.content, new.container_tag, new.search_text);
+        END;
+
+        INSERT INTO memories_fts(memories_fts) VALUES ('rebuild');
+      `);
+    },
+  },
+  {
+    version: 7,
+    name: 'memory-tags',
+    up(db) {
+      db.exec(`
+        CREATE TABLE tags (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL UNIQUE
+        );
+
+        CREATE TABLE memory_tags (
+          memory_id TEXT NOT NULL,
+          tag_id INTEGER NOT NULL REFERENCES tags(id),
+          PRIMARY KEY (memory_id, tag_id)
+        );
+
+        CREATE INDEX idx_memory_tags_tag ON memory_tags(tag_id);
+
+        CREATE TRIGGER memories_tags_ad AFTER DELETE ON memories BEGIN
+          DELETE FROM memory_tags WHERE memory_id = old.id;
+        END;
+      `);
+    },
+  },
+  {
+    version: 8,
+    name: 'memory-revisions',
+    up(db) {
+      db.exec(`
+        CREATE TABLE memory_revisions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          memory_id TEXT NOT NULL,
+          revision INTEGER NOT NULL,
+          content TEXT NOT NULL,
+          metadata TEXT,
+          source TEXT NOT NULL DEFAULT 'local',
+          updated_at INTEGER NOT NULL,
+          recorded_at INTEGER NOT NULL,
+          UNIQUE (memory_id, revision)
+        );
+
+        CREATE TRIGGER memories_revisions_ad AFTER DELETE ON memories BEGIN
+          DELETE FROM memory_revisions WHERE memory_id = old.id;
+        END;
+      `);
+    },
+  },
+  {
+    version: 9,
+    name: 'soft-delete-tombstones',
+    up(db) {
+      // deleted_at marks a memory as in the trash; purged memories leave a
+      // tombstone so sync never re-imports them
+      db.exec(`
+        ALTER TABLE memories ADD COLUMN deleted_at INTEGER;
+        CREATE INDEX idx_memories_deleted ON memories(deleted_at);
+
+        CREATE TABLE tombstones (
+          memory_id TEXT PRIMARY KEY,
+          container_tag TEXT NOT NULL,
+          created_at INTEGER NOT NULL,
+          deleted_at INTEGER NOT NULL,
+          purged_at INTEGER NOT NULL,
+          sync_status TEXT DEFAULT 'pending'
+        );
+      `);
+    },
+  },
+  {
+    version: 10,
+    name: 'synced-hash',
+    up(db) {
+      // Hash of the memory as of the last push or pull: the merge base that
+      // tells a remote edit apart from a local one
+      db.exec('ALTER TABLE memories ADD COLUMN synced_hash TEXT');
+    },
+  },
+  {
+    version: 11,
+    name: 'sync-conflicts',
+    up(db) {
+      // Memories edited on two machines between syncs. Both versions are
+      // stored as JSON; at most one open conflict per memory.
+      db.exec(`
+        CREATE TABLE conflicts (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          memory_id TEXT NOT NULL,
+          local_version TEXT NOT NULL,
+          remote_version TEXT NOT NULL,
+          remote_hash TEXT NOT NULL,
+          detected_at INTEGER NOT NULL,
+          resolved_at INTEGER,
+          resolution TEXT
+        );
+        CREATE UNIQUE INDEX idx_conflicts_open
+          ON conflicts(memory_id) WHERE resolved_at IS NULL;
+
+        CREATE TRIGGER memories_conflicts_ad AFTER DELETE ON memories BEGIN
+          DELETE FROM conflicts WHERE memory_id = old.id;
+        END;
+      `);
+    },
+  },
+  {
+    version: 12,
+    name: 'profile-sync',
+    up(db) {
+      // Profile facts sync like memories: soft deletes travel as
+      // deleted_at, and updated_at decides which side wins
+      db.exec(`
+        ALTER TABLE profiles ADD COLUMN updated_at INTEGER;
+        ALTER TABLE profiles ADD COLUMN deleted_at INTEGER;
+        ALTER TABLE profiles ADD COLUMN sync_status TEXT DEFAULT 'pending';
+        UPDATE profiles SET updated_at = created_at;
+        UPDATE profiles SET sync_status = 'synced' WHERE synced_at IS NOT NULL;
+      `);
+    },
+  },
+  {
+    version: 13,
+    name: 'sync-queue',
+    up(db) {
+      // Hooks enqueue syncs; a detached worker runs them (see sync-queue.js).
+      // sync_attempts is the per-attempt log shown by status.
+      db.exec(`
+        CREATE TABLE sync_queue (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          reason TEXT NOT NULL,
+          status TEXT NOT NULL DEFAULT 'queued',
+          attempts INTEGER NOT NULL DEFAULT 0,
+          enqueued_at INTEGER NOT NULL,
+          next_attempt_at INTEGER NOT NULL,
+          last_error TEXT
+        );
+
+        CREATE TABLE sync_attempts (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          job_id INTEGER,
+          attempted_at INTEGER NOT NULL,
+          duration_ms INTEGER,
+          error TEXT
+        );
+      `);
+    },
+  },
+  {
+    version: 14,
+    name: 'local-only',
+    up(db) {
+      // Memories flagged local_only are never exported (see sync-policy.js)
+      db.exec(`
+        ALTER TABLE memories ADD COLUMN local_only INTEGER NOT NULL DEFAULT 0;
+      `);
+    },
+  },
+  {
+    version: 15,
+    name: 'containers',
+    up(db) {
+      // Registry of the projects behind container tags. moved_from is the
+      // container a re-tagged memory was last pushed under, until the next
+      // push removes that copy.
+      db.exec(`
+        CREATE TABLE containers (
+          tag TEXT PRIMARY KEY,
+          name TEXT,
+          path TEXT,
+          remote TEXT,
+          created_at INTEGER NOT NULL,
+          updated_at INTEGER NOT NULL
+        );
+        ALTER TABLE memories ADD COLUMN moved_from TEXT;
+      `);
+    },
+  },
+];
+
+const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+function getSchemaVersion(db) {
+  return db.pragma('user_version', { simple: true });
+}
+
+function hasUserTables(db) {
+  const row = db
+    .prepare(
+      `SELECT COUNT(*) as count FROM sqlite_master
+       WHERE type = 'table' AND name NOT LIKE 'sqlite_%'`,
+    )
+    .get();
+  return row.count > 0;
+}
+
+// VACUUM INTO produces a consistent snapshot even with WAL enabled. It
+// cannot run inside the migration transaction, so a second connection
+// reads the database as it was before the migrations.
+function backupDatabase(dbPath, fromVersion) {
+  const backupPath = `${dbPath}.v${fromVersion}-${Date.now()}.bak`;
+  const reader = new Database(dbPath, { readonly: true });
+  try {
+    reader.prepare('VACUUM INTO ?').run(backupPath);
+  } finally {
+    reader.close();
+  }
+  return backupPath;
+}
+
+function checkSupported(version) {
+  if (version > LATEST_VERSION) {
+    throw new Error(
+      `Database schema version ${version} is newer than this plugin supports (${LATEST_VERSION}). Please update the plugin.`,
+    );
+  }
+}
+
+/**
+ * Bring the database up to LATEST_VERSION.
+ *
+ * Takes a backup next to the database file before touching an existing
+ * schema. All pending migrations run in a single transaction, so a failure
+ * rolls the database back to the version it started at. Hooks open the
+ * database concurrently: the transaction takes the write lock up front and
+ * re-reads the version, so only one process backs up and migrates.
+ *
+ * @returns {{ from: number, to: number, applied: string[], backupPath: string|null }}
+ */
+function runMigrations(db, dbPath = null) {
+  const initial = getSchemaVersion(db);
+  checkSupported(initial);
+  if (initial === LATEST_VERSION) {
+    return { from: initial, to: initial, applied: [], backupPath: null };
+  }
+
+  let from = initial;
+  let backupPath = null;
+  const applied = [];
+  let current = null;
+  const apply = db.transaction(() => {
+    from = getSchemaVersion(db);
+    checkSupported(from);
+    const pending = MIGRATIONS.filter((m) => m.version > from);
+    if (pending.length === 0) return;
+
+    if (dbPath && dbPath !== ':memory:' && hasUserTables(db)) {
+      backupPath = backupDatabase(dbPath, from);
+    }
+    for (const migration of pending) {
+      current = migration;
+      migration.up(db);
+      db.pragma(`user_version = ${migration.version}`);
+      applied.push(migration.name);
+    }
+  });
+
+  try {
+    apply.immediate();
+  } catch (err) {
+    if (!current) throw err;
+    const hint = backupPath ? ` Backup kept at ${backupPath}` : '';
+    throw new Error(
+      `Migration ${current.version} (${current.name}) failed, schema left at version ${from}: ${err.message}.${hint}`,
+    );
+  }
+
+  if (backupPath) {
+    pruneBackups(dbPath);
+  }
+
+  return {
+    from,
+    to: getSchemaVersion(db),
+    applied,
+    backupPath,
+  };
+}
+
+// Keep only the most recent few pre-migration backups
+function pruneBackups(dbPath, keep = 3) {
+  const dir = path.dirname(dbPath);
+  const base = path.basename(dbPath);
+  const backups = fs
+    .readdirSync(dir)
+    .filter((f) => f.startsWith(`${base}.v`) && f.endsWith('.bak'))
+    .map((f) => ({ f, mtime: fs.statSync(path.join(dir, f)).mtimeMs }))
+    .sort((a, b) => b.mtime - a.mtime);
+
+  for (const { f } of backups.slice(keep)) {
+    try {
+      fs.unlinkSync(path.join(dir, f));
+    } catch {}
+  }
+}
+
+module.exports = {
+  MIGRATIONS,
+  LATEST_VERSION,
+  getSchemaVersion,
+  runMigrations,
+};
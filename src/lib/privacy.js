@@ -0,0 +1,171 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+// An incognito request from the command is claimed by the next hook in the
+// same project, as long as it is this fresh
+const PENDING_TTL_MS = 10 * 60 * 1000;
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Drop `<private>...</private>` spans. An unclosed `<private>` hides the
+ * rest of the text rather than leaking it.
+ */
+function stripPrivate(text) {
+  if (!text || typeof text !== 'string') return text;
+  return text
+    .replace(/<private>[\s\S]*?<\/private>/gi, '')
+    .replace(/<private>[\s\S]*$/i, '');
+}
+
+// Shallow, for tool inputs and responses
+function stripPrivateValues(value) {
+  if (typeof value === 'string') return stripPrivate(value);
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return value;
+  }
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = typeof item === 'string' ? stripPrivate(item) : item;
+  }
+  return result;
+}
+
+// `**` crosses directories, `*` and `?` stay within one
+function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      source += '.*';
+      i++;
+      if (glob[i + 1] === '/') i++;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * gitignore-style matching: a pattern without a slash matches a file or
+ * directory name at any depth (`*.pem`, `.env`); one with a slash is
+ * relative to the project root (`secrets/**`), or absolute (`~/.ssh/**`).
+ */
+function isIgnoredPath(filePath, patterns, cwd = process.cwd()) {
+  if (!filePath || !patterns || patterns.length === 0) return false;
+
+  const absolute = path.resolve(cwd, filePath);
+  const relative = path.relative(cwd, absolute);
+  const insideProject =
+    !relative.startsWith('..') && !path.isAbsolute(relative);
+
+  return patterns.some((pattern) => {
+    if (!pattern.includes('/')) {
+      const regex = globToRegExp(pattern);
+      return absolute.split(path.sep).some((segment) => regex.test(segment));
+    }
+    if (pattern.startsWith('~/')) {
+      return globToRegExp(path.join(os.homedir(), pattern.slice(2))).test(
+        absolute,
+      );
+    }
+    if (pattern.startsWith('/') && !insideProject) {
+      return globToRegExp(pattern).test(absolute);
+    }
+    const anchored = pattern.replace(/^\//, '');
+    return insideProject && globToRegExp(anchored).test(relative);
+  });
+}
+
+// Paths a tool call touches: file arguments, plus path-like words of a
+// shell command
+function toolPaths(toolInput) {
+  const input = toolInput || {};
+  const paths = [input.file_path, input.notebook_path, input.path].filter(
+    (p) => typeof p === 'string',
+  );
+  if (typeof input.command === 'string') {
+    for (const word of input.command.split(/[\s'"=<>|;&()]+/)) {
+      if (word && /[/.]/.test(word) && !word.startsWith('-')) paths.push(word);
+    }
+  }
+  return paths;
+}
+
+function touchesIgnoredPath(toolInput, patterns, cwd) {
+  if (!patterns || patterns.length === 0) return false;
+  return toolPaths(toolInput).some((p) => isIgnoredPath(p, patterns, cwd));
+}
+
+// Next to the database, like the sync lock
+function incognitoFile(dbPath) {
+  return path.join(path.dirname(dbPath), 'incognito.json');
+}
+
+function readIncognito(dbPath) {
+  try {
+    return JSON.parse(fs.readFileSync(incognitoFile(dbPath), 'utf8'));
+  } catch {
+    return { sessions: {}, pending: null };
+  }
+}
+
+function writeIncognito(dbPath, state) {
+  const now = Date.now();
+  for (const [id, session] of Object.entries(state.sessions)) {
+    if (now - session.since > SESSION_TTL_MS) delete state.sessions[id];
+  }
+  fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  fs.writeFileSync(incognitoFile(dbPath), JSON.stringify(state, null, 2));
+}
+
+/**
+ * Turn incognito on or off. With a session id it applies at once;
+ * without one it waits for the next hook from a session in the same
+ * project (`containerTag`) to claim it.
+ */
+function setIncognito(dbPath, enabled, { sessionId = null, containerTag }) {
+  const state = readIncognito(dbPath);
+  if (sessionId) {
+    if (enabled) state.sessions[sessionId] = { since: Date.now() };
+    else delete state.sessions[sessionId];
+    state.pending = null;
+  } else {
+    state.pending = { enabled, containerTag, requestedAt: Date.now() };
+  }
+  writeIncognito(dbPath, state);
+}
+
+// Whether capture is paused for this session; claims a pending request
+function isIncognito(dbPath, sessionId, containerTag) {
+  if (!fs.existsSync(incognitoFile(dbPath))) return false;
+
+  const state = readIncognito(dbPath);
+  const { pending } = state;
+  if (
+    pending &&
+    pending.containerTag === containerTag &&
+    Date.now() - pending.requestedAt < PENDING_TTL_MS
+  ) {
+    setIncognito(dbPath, pending.enabled, { sessionId });
+    return pending.enabled;
+  }
+  return !!state.sessions[sessionId];
+}
+
+module.exports = {
+  stripPrivate,
+  stripPrivateValues,
+  globToRegExp,
+  isIgnoredPath,
+  touchesIgnoredPath,
+  incognitoFile,
+  readIncognito,
+  setIncognito,
+  isIncognito,
+};
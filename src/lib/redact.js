@@ -0,0 +1,171 @@
+const { debugLog } = require('./settings');
+
+const MIN_ENTROPY_LENGTH = 32;
+const MIN_ENTROPY_BITS = 4.2;
+
+// Values that only point at a secret: env lookups, template variables and
+// earlier placeholders
+const NOT_A_VALUE = String.raw`(?!\$|process\.env|os\.environ|\[REDACTED)`;
+// Settings named after a secret, such as PASSWORD_MIN_LENGTH=12 or
+// TOKEN_EXPIRY=3600s, hold a number, optionally with a unit. The units are
+// listed because the key name is matched case-insensitively.
+const UNITS =
+  'ms|s|secs?|seconds?|m|mins?|minutes?|h|hrs?|hours?|d|days?|w|weeks?|[kmgt]i?b|bytes?|chars?|characters?|%';
+const NOT_A_NUMBER = String.raw`(?!\d+(?:\.\d+)?(?:${UNITS})?(?![^\s"'\`]))`;
+
+/**
+ * Built-in detectors, most specific first. A named group `secret` limits
+ * the replacement to that part of the match, so the key name or the rest
+ * of a URL stays readable.
+ */
+const DETECTORS = [
+  {
+    type: 'private-key',
+    pattern:
+      /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g,
+  },
+  {
+    type: 'github-token',
+    pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\b/g,
+  },
+  {
+    type: 'aws-access-key',
+    pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g,
+  },
+  {
+    type: 'aws-secret-key',
+    pattern:
+      /aws_secret_access_key["']?\s*[:=]\s*["']?(?<secret>[A-Za-z0-9/+=]{40})/gi,
+  },
+  {
+    type: 'jwt',
+    pattern: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g,
+  },
+  {
+    type: 'connection-string',
+    pattern: new RegExp(
+      String.raw`\b[a-z][a-z0-9+.-]*://[^\s:/@]+:${NOT_A_VALUE}(?<secret>[^\s@/]+)@`,
+      'gi',
+    ),
+  },
+  {
+    type: 'env-secret',
+    pattern: new RegExp(
+      String.raw`\b[A-Z0-9_]*(?:SECRET|TOKEN|PASSWORD|PASSWD|API_KEY|APIKEY|ACCESS_KEY|PRIVATE_KEY)[A-Z0-9_]*["']?\s*[:=]\s*["']?${NOT_A_VALUE}${NOT_A_NUMBER}(?<secret>[^\s"'\`]{8,})`,
+      'gi',
+    ),
+  },
+];
+
+function placeholder(type) {
+  return `[REDACTED:${type}]`;
+}
+
+// Shannon entropy in bits per character
+function entropy(text) {
+  const counts = new Map();
+  for (const char of text) counts.set(char, (counts.get(char) || 0) + 1);
+  let bits = 0;
+  for (const count of counts.values()) {
+    const p = count / text.length;
+    bits -= p * Math.log2(p);
+  }
+  return bits;
+}
+
+// Long random-looking tokens. Requiring upper case, lower case and digits
+// keeps hex digests, UUIDs and identifiers out.
+function looksRandom(token) {
+  return (
+    /[a-z]/.test(token) &&
+    /[A-Z]/.test(token) &&
+    /[0-9]/.test(token) &&
+    entropy(token) >= MIN_ENTROPY_BITS
+  );
+}
+
+function replaceMatches(text, { type, pattern }, findings) {
+  return text.replace(pattern, (match, ...args) => {
+    const groups = args[args.length - 1];
+    findings.push(type);
+    if (typeof groups === 'object' && groups?.secret) {
+      return match.replace(groups.secret, placeholder(type));
+    }
+    return placeholder(type);
+  });
+}
+
+/**
+ * Replace secrets in `text` with `[REDACTED:<type>]` placeholders.
+ * @returns {{ text: string, findings: string[] }} one finding per span
+ */
+function redactSecrets(text, detectors = DETECTORS) {
+  const findings = [];
+  if (!text) return { text, findings };
+
+  let result = text;
+  for (const detector of detectors) {
+    result = replaceMatches(result, detector, findings);
+  }
+  // No '/' in the token class: absolute paths mix case and digits too
+  result = result.replace(
+    new RegExp(`[A-Za-z0-9+=_-]{${MIN_ENTROPY_LENGTH},}`, 'g'),
+    (token) => {
+      if (!looksRandom(token)) return token;
+      findings.push('high-entropy');
+      return placeholder('high-entropy');
+    },
+  );
+  return { text: result, findings };
+}
+
+/**
+ * Redactor for the write path, built from settings: `redactSecrets: false`
+ * turns it off, and `redactPatterns` adds regexes (strings, or
+ * `{ name, pattern }`) that run before the built-in detectors.
+ */
+function createRedactor(settings) {
+  if (settings.redactSecrets === false) {
+    return (text) => ({ text, findings: [] });
+  }
+
+  const custom = [];
+  for (const entry of settings.redactPatterns || []) {
+    const { name = 'custom', pattern } =
+      typeof entry === 'string' ? { pattern: entry } : entry;
+    try {
+      custom.push({ type: name, pattern: new RegExp(pattern, 'g') });
+    } catch (err) {
+      debugLog(settings, 'Invalid redactPatterns entry', {
+        pattern,
+        error: err.message,
+      });
+    }
+  }
+
+  const detectors = [...custom, ...DETECTORS];
+  return (text) => redactSecrets(text, detectors);
+}
+
+// Shallow: metadata values are short strings (commands, titles, paths)
+function redactMetadata(metadata, redact) {
+  const findings = [];
+  if (!metadata || typeof metadata !== 'object') {
+    return { metadata, findings };
+  }
+  const result = { ...metadata };
+  for (const [key, value] of Object.entries(result)) {
+    if (typeof value !== 'string') continue;
+    const redacted = redact(value);
+    result[key] = redacted.text;
+    findings.push(...redacted.findings);
+  }
+  return { metadata: result, findings };
+}
+
+module.exports = {
+  redactSecrets,
+  createRedactor,
+  redactMetadata,
+  DETECTORS,
+};
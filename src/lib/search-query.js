@@ -0,0 +1,244 @@
+const { extractKeywords } = require('./fts-query');
+
+const DAY_MS = 86400000;
+// Words that only ask about activity ("what did I work on yesterday");
+// they are dropped with the stopwords once a date phrase is found
+const ACTIVITY_WORDS = new Set([
+  'work',
+  'worked',
+  'working',
+  'done',
+  'happen',
+  'happened',
+  'activity',
+  'recent',
+  'recently',
+]);
+const FILTER_KEYS = [
+  'tool',
+  'file',
+  'since',
+  'before',
+  'project',
+  'subproject',
+  'type',
+  'tag',
+];
+
+function startOfDay(date) {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+}
+
+// Weeks start on Monday
+function startOfWeek(date) {
+  const d = startOfDay(date);
+  d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  return d;
+}
+
+function startOfMonth(date) {
+  const d = startOfDay(date);
+  d.setDate(1);
+  return d;
+}
+
+function addDays(date, days) {
+  const d = new Date(date);
+  d.setDate(d.getDate() + days);
+  return d;
+}
+
+function addMonths(date, months) {
+  const d = new Date(date);
+  d.setMonth(d.getMonth() + months);
+  return d;
+}
+
+/**
+ * Resolve a date expression to a { since, before } range of Dates (either
+ * may be null). Accepts ISO dates, durations (`7d`, `12h`, `2w`, `3m`, `1y`)
+ * and phrases like "yesterday", "last week", "3 days ago".
+ */
+function resolveDateRange(expr, now = new Date()) {
+  const value = expr.trim().toLowerCase().replace(/[-_]/g, ' ');
+  const today = startOfDay(now);
+
+  if (/^\d{4} \d{2} \d{2}$/.test(value)) {
+    const [y, m, d] = value.split(' ').map(Number);
+    const date = new Date(y, m - 1, d);
+    return { since: date, before: addDays(date, 1) };
+  }
+
+  const duration = value.match(/^(\d+)\s*(h|d|w|m|y)$/);
+  if (duration) {
+    const n = Number(duration[1]);
+    const unit = duration[2];
+    let since;
+    if (unit === 'h') since = new Date(now.getTime() - n * 3600000);
+    else if (unit === 'd') since = new Date(now.getTime() - n * DAY_MS);
+    else if (unit === 'w') since = new Date(now.getTime() - n * 7 * DAY_MS);
+    else if (unit === 'm') since = addMonths(now, -n);
+    else since = addMonths(now, -12 * n);
+    return { since, before: null };
+  }
+
+  switch (value) {
+    case 'today':
+      return { since: today, before: null };
+    case 'yesterday':
+      return { since: addDays(today, -1), before: today };
+    case 'this week':
+      return { since: startOfWeek(now), before: null };
+    case 'last week': {
+      const week = startOfWeek(now);
+      return { since: addDays(week, -7), before: week };
+    }
+    case 'this month':
+      return { since: startOfMonth(now), before: null };
+    case 'last month': {
+      const month = startOfMonth(now);
+      return { since: addMonths(month, -1), before: month };
+    }
+  }
+
+  const ago = value.match(/^(\d+) (day|week|month)s? ago$/);
+  if (ago) {
+    const n = Number(ago[1]);
+    const day =
+      ago[2] === 'day'
+        ? addDays(today, -n)
+        : ago[2] === 'week'
+          ? addDays(today, -7 * n)
+          : addMonths(today, -n);
+    return { since: day, before: addDays(day, 1) };
+  }
+
+  const past = value.match(/^(?:past|last) (\d+) (day|week|month)s?$/);
+  if (past) {
+    const n = Number(past[1]);
+    const since =
+      past[2] === 'day'
+        ? addDays(today, -n)
+        : past[2] === 'week'
+          ? addDays(today, -7 * n)
+          : addMonths(today, -n);
+    return { since, before: null };
+  }
+
+  return null;
+}
+
+// Relative dates written as plain words inside the query text
+const RELATIVE_DATE_PATTERN =
+  /\b(today|yesterday|(?:this|last) (?:week|month)|\d+ (?:day|week|month)s? ago|(?:past|last) \d+ (?:day|week|month)s?)\b/i;
+
+// Several tags narrow the search: all of them must be present
+function addTag(filters, tag) {
+  filters.tag = [...(filters.tag || []), tag];
+}
+
+/**
+ * Split a search string into free text and structured filters:
+ *
+ *   tool:Bash file:storage-client.js since:7d before:2026-09-01
+ *   project:* subproject:billing type:manual tag:decision #gotcha
+ *   "exact phrase"
+ *
+ * Unknown `key:value` tokens stay in the text. Date words such as
+ * "yesterday" or "last week" become a date range and are removed.
+ *
+ * @returns {{ text: string, filters: object, errors: string[] }}
+ */
+function parseSearchQuery(input, now = new Date()) {
+  const filters = {};
+  const errors = [];
+  const textParts = [];
+
+  for (const match of (input || '').matchAll(
+    /(-?"[^"]*")|(\w+):("[^"]*"|\S+)|(\S+)/g,
+  )) {
+    const [, phrase, key, rawValue, word] = match;
+    if (word && /^#[\p{L}\p{N}]/u.test(word)) {
+      addTag(filters, word.slice(1));
+      continue;
+    }
+    if (phrase || word) {
+      textParts.push(phrase || word);
+      continue;
+    }
+
+    const name = key.toLowerCase();
+    if (!FILTER_KEYS.includes(name)) {
+      textParts.push(match[0]);
+      continue;
+    }
+
+    const value = rawValue.replace(/^"|"$/g, '');
+    if (name === 'since' || name === 'before') {
+      const range = resolveDateRange(value, now);
+      if (!range) {
+        errors.push(`Unrecognized date "${value}" in ${name}:`);
+        continue;
+      }
+      // Both ends anchor on the start of the range: since:yesterday is
+      // "from yesterday on", before:yesterday is "before yesterday began"
+      filters[name] = range.since.getTime();
+    } else if (name === 'tag') {
+      addTag(filters, value);
+    } else {
+      filters[name] = value;
+    }
+  }
+
+  let text = textParts.join(' ');
+  const relative = text.match(RELATIVE_DATE_PATTERN);
+  if (relative && filters.since === undefined) {
+    const range = resolveDateRange(relative[1], now);
+    if (range) {
+      filters.since = range.since.getTime();
+      if (range.before && filters.before === undefined) {
+        filters.before = range.before.getTime();
+      }
+      text = text.replace(relative[0], ' ');
+      // A question in plain words: keep its keywords, so the filler isn't
+      // ANDed into the match and a bare question lists the date range
+      const kept = [];
+      for (const token of text.match(/-?"[^"]*"|\S+/g) || []) {
+        // Phrases, exclusions, operators and file names stay as written
+        if (/^-|^"|^(?:OR|AND)$|\w[./]\w/.test(token)) {
+          kept.push(token);
+        } else {
+          kept.push(
+            ...extractKeywords(token).filter((w) => !ACTIVITY_WORDS.has(w)),
+          );
+        }
+      }
+      text = kept.join(' ');
+    }
+  }
+
+  return { text: text.replace(/\s+/g, ' ').trim(), filters, errors };
+}
+
+function describeFilters(filters) {
+  const parts = [];
+  for (const key of ['tool', 'file', 'type', 'project', 'subproject']) {
+    if (filters[key]) parts.push(`${key}:${filters[key]}`);
+  }
+  for (const tag of filters.tag || []) parts.push(`#${tag}`);
+  if (filters.since) {
+    parts.push(`since ${new Date(filters.since).toLocaleString()}`);
+  }
+  if (filters.before) {
+    parts.push(`before ${new Date(filters.before).toLocaleString()}`);
+  }
+  return parts.join(', ');
+}
+
+module.exports = {
+  parseSearchQuery,
+  resolveDateRange,
+  describeFilters,
+};
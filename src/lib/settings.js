@@ -9,6 +9,30 @@ const DEFAULT_SETTINGS = {
   skipTools: ['Read', 'Glob', 'Grep', 'TodoWrite', 'AskUserQuestion'],
   captureTools: ['Edit', 'Write', 'Bash', 'Task'],
   maxProfileItems: 5,
+  maxSummaryItems: 10,
+  maxSummaryLength: 4000,
+  recallOnPrompt: true,
+  maxRecallResults: 3,
+  recallMinScore: 0.3,
+  embeddingProvider: 'hash',
+  embeddingModel: null,
+  embeddingBaseUrl: null,
+  vectorWeight: 0.5,
+  vectorMinSimilarity: 0.2,
+  embeddingBackfillBatch: 200,
+  githubApiUrl: 'https://api.github.com',
+  githubUrl: 'https://github.com',
+  githubClientId: null,
+  syncRemote: null,
+  syncBranch: 'main',
+  syncDir: null,
+  syncLayout: 'files',
+  syncInclude: [],
+  syncExclude: [],
+  syncNewProjects: true,
+  redactSecrets: true,
+  redactPatterns: [],
+  ignorePaths: [],
   debug: false,
   injectProfile: true,
 };
@@ -35,6 +59,8 @@ function loadSettings() {
     settings.skipTools = process.env.SUPERMEMORY_SKIP_TOOLS.split(',').map(
       (s) => s.trim(),
     );
+  if (process.env.CLAUDE_MEMORY_GITHUB_CLIENT_ID)
+    settings.githubClientId = process.env.CLAUDE_MEMORY_GITHUB_CLIENT_ID;
   if (process.env.SUPERMEMORY_DEBUG === 'true') settings.debug = true;
   return settings;
 }
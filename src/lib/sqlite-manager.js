@@ -1,10 +1,162 @@
 const Database = require('better-sqlite3');
+const crypto = require('node:crypto');
 const path = require('node:path');
 const fs = require('node:fs');
 const os = require('node:os');
+const { runMigrations, getSchemaVersion } = require('./migrations');
+const {
+  cosineSimilarity,
+  vectorToBuffer,
+  bufferToVector,
+} = require('./embeddings');
+const { codeTerms, buildMatchQuery } = require('./fts-query');
 
 const DEFAULT_DB_DIR = path.join(os.homedir(), '.claude-memory');
 const DEFAULT_DB_PATH = path.join(DEFAULT_DB_DIR, 'memories.db');
+const BUSY_TIMEOUT_MS = 10000;
+
+// "#Decision" -> "decision"; returns null for anything unusable as a tag
+function normalizeTag(tag) {
+  if (typeof tag !== 'string') return null;
+  const name = tag.trim().replace(/^#+/, '').toLowerCase();
+  if (!/^[\p{L}\p{N}][\p{L}\p{N}_/:-]{0,49}$/u.test(name)) return null;
+  return name;
+}
+
+/**
+ * Fingerprint of everything sync carries for a memory. Accepts local rows
+ * and rows from GitHubSync.importMemories() (metadata may be a JSON string).
+ */
+function memoryHash(memory) {
+  const metadata =
+    typeof memory.metadata === 'string'
+      ? JSON.parse(memory.metadata)
+      : memory.metadata || {};
+  const data = JSON.stringify([
+    memory.content,
+    metadata,
+    [...(memory.tags || [])].sort(),
+    !!memory.deleted_at,
+  ]);
+  return crypto.createHash('sha1').update(data).digest('hex');
+}
+
+function profileFactId(containerTag, fact) {
+  const hash = crypto
+    .createHash('sha256')
+    .update(`${containerTag}\n${fact.trim().toLowerCase()}`)
+    .digest('hex');
+  return `fact_${hash.slice(0, 16)}`;
+}
+
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, (c) => `\\${c}`);
+}
+
+// `containerTag` may be a list, e.g. a sub-project and its repository
+function containerClause(containerTag, column = 'm.container_tag') {
+  if (!containerTag) return { sql: '', params: [] };
+  const tags = [].concat(containerTag);
+  if (tags.length === 0) return { sql: ' AND 0', params: [] };
+  return {
+    sql: ` AND ${column} IN (${tags.map(() => '?').join(',')})`,
+    params: tags,
+  };
+}
+
+// SQL predicates over alias `m` for filters from parseSearchQuery().
+// Memories in the trash are always excluded.
+function buildFilterClause(filters) {
+  const clauses = ['m.deleted_at IS NULL'];
+  const params = [];
+  if (!filters) return { sql: ` AND ${clauses[0]}`, params };
+
+  if (filters.tool) {
+    clauses.push(`(
+      json_extract(m.metadata, '$.tool') = ? COLLATE NOCASE
+      OR EXISTS (SELECT 1 FROM json_each(m.metadata, '$.tools') WHERE value = ? COLLATE NOCASE)
+    )`);
+    params.push(filters.tool, filters.tool);
+  }
+  if (filters.file) {
+    const like = `%${escapeLike(filters.file)}%`;
+    clauses.push(`(
+      json_extract(m.metadata, '$.file') LIKE ? ESCAPE '\\'
+      OR EXISTS (SELECT 1 FROM json_each(m.metadata, '$.files') WHERE value LIKE ? ESCAPE '\\')
+      OR m.content LIKE ? ESCAPE '\\'
+    )`);
+    params.push(like, like, like);
+  }
+  for (const tag of [].concat(filters.tag || [])) {
+    clauses.push(`EXISTS (
+      SELECT 1 FROM memory_tags mt JOIN tags t ON t.id = mt.tag_id
+      WHERE mt.memory_id = m.id AND t.name = ?
+    )`);
+    params.push(normalizeTag(tag));
+  }
+  if (filters.type) {
+    clauses.push(`json_extract(m.metadata, '$.type') = ? COLLATE NOCASE`);
+    params.push(filters.type);
+  }
+  if (filters.project && filters.project !== '*') {
+    clauses.push(
+      `(json_extract(m.metadata, '$.project') = ? COLLATE NOCASE OR m.container_tag = ?)`,
+    );
+    params.push(filters.project, filters.project);
+  }
+  if (filters.subproject) {
+    // A scoped package name matches without its scope
+    clauses.push(`(
+      json_extract(m.metadata, '$.subproject') = ? COLLATE NOCASE
+      OR json_extract(m.metadata, '$.subproject') LIKE ? ESCAPE '\\'
+    )`);
+    params.push(filters.subproject, `%/${escapeLike(filters.subproject)}`);
+  }
+  if (filters.since) {
+    clauses.push('m.created_at >= ?');
+    params.push(filters.since);
+  }
+  if (filters.before) {
+    clauses.push('m.created_at < ?');
+    params.push(filters.before);
+  }
+
+  return {
+    sql: clauses.map((c) => ` AND ${c}`).join(''),
+    params,
+  };
+}
+
+// `column` is one of `tags` or nested under one (see isWithinContainer)
+function withinContainersClause(tags, column) {
+  return {
+    sql: tags
+      .map(() => `${column} = ? OR ${column} LIKE ? ESCAPE '\\'`)
+      .join(' OR '),
+    params: tags.flatMap((tag) => [tag, `${escapeLike(tag)}\\_%`]),
+  };
+}
+
+// SQL for SyncPolicy (sync-policy.js) over a container_tag column
+function syncPolicyClause(policy, column = 'container_tag') {
+  if (!policy) return { sql: '', params: [] };
+  const clauses = [];
+  const params = [];
+  if (policy.exclude.length > 0) {
+    const excluded = withinContainersClause(policy.exclude, column);
+    clauses.push(`NOT (${excluded.sql})`);
+    params.push(...excluded.params);
+  }
+  if (!policy.others) {
+    const included = withinContainersClause(policy.include, column);
+    clauses.push(policy.include.length > 0 ? `(${included.sql})` : '0');
+    params.push(...included.params);
+  }
+  return {
+    sql: clauses.map((clause) => ` AND ${clause}`).join(''),
+    params,
+  };
+}
 
 class SqliteManager {
   constructor(dbPath = DEFAULT_DB_PATH) {
@@ -19,74 +171,44 @@ class SqliteManager {
       fs.mkdirSync(dir, { recursive: true });
     }
 
+    this.dbPath = dbPath;
     this.db = new Database(dbPath);
+    // Hooks of concurrent sessions open the database at the same time
+    this.db.pragma(`busy_timeout = ${BUSY_TIMEOUT_MS}`);
     this.db.pragma('journal_mode = WAL');
     this.initSchema();
   }
 
   initSchema() {
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS memories (
-        id TEXT PRIMARY KEY,
-        content TEXT NOT NULL,
-        container_tag TEXT NOT NULL,
-        metadata TEXT,
-        created_at INTEGER NOT NULL,
-        updated_at INTEGER NOT NULL,
-        synced_at INTEGER,
-        sync_status TEXT DEFAULT 'pending'
-      );
-
-      CREATE TABLE IF NOT EXISTS profiles (
-        id TEXT PRIMARY KEY,
-        container_tag TEXT NOT NULL,
-        fact TEXT NOT NULL,
-        type TEXT DEFAULT 'static',
-        created_at INTEGER NOT NULL,
-        synced_at INTEGER
-      );
-
-      CREATE TABLE IF NOT EXISTS sync_state (
-        key TEXT PRIMARY KEY,
-        value TEXT,
-        updated_at INTEGER
-      );
-
-      CREATE INDEX IF NOT EXISTS idx_memories_container ON memories(container_tag);
-      CREATE INDEX IF NOT EXISTS idx_memories_created ON memories(created_at);
-      CREATE INDEX IF NOT EXISTS idx_memories_sync_status ON memories(sync_status);
-      CREATE INDEX IF NOT EXISTS idx_profiles_container ON profiles(container_tag);
-
-      CREATE VIRTUAL TABLE IF NOT EXISTS memories_fts USING fts5(
-        content,
-        container_tag,
-        content=memories,
-        content_rowid=rowid
-      );
-
-      CREATE TRIGGER IF NOT EXISTS memories_ai AFTER INSERT ON memories BEGIN
-        INSERT INTO memories_fts(rowid, content, container_tag)
-        VALUES (new.rowid, new.content, new.container_tag);
-      END;
-
-      CREATE TRIGGER IF NOT EXISTS memories_ad AFTER DELETE ON memories BEGIN
-        DELETE FROM memories_fts WHERE rowid = old.rowid;
-      END;
+    this.migration = runMigrations(this.db, this.dbPath);
+  }
 
-      CREATE TRIGGER IF NOT EXISTS memories_au AFTER UPDATE ON memories BEGIN
-        UPDATE memories_fts SET content = new.content, container_tag = new.container_tag
-        WHERE rowid = new.rowid;
-      END;
-    `);
+  getSchemaVersion() {
+    return getSchemaVersion(this.db);
   }
 
-  addMemory(id, content, containerTag, metadata = {}) {
+  addMemory(
+    id,
+    content,
+    containerTag,
+    metadata = {},
+    { localOnly = false } = {},
+  ) {
     const now = Date.now();
     const stmt = this.db.prepare(`
-      INSERT INTO memories (id, content, container_tag, metadata, created_at, updated_at, sync_status)
-      VALUES (?, ?, ?, ?, ?, ?, 'pending')
+      INSERT INTO memories (id, content, container_tag, metadata, search_text, created_at, updated_at, sync_status, local_only)
+      VALUES (?, ?, ?, ?, ?, ?, ?, 'pending', ?)
     `);
-    stmt.run(id, content, containerTag, JSON.stringify(metadata), now, now);
+    stmt.run(
+      id,
+      content,
+      containerTag,
+      JSON.stringify(metadata),
+      codeTerms(content),
+      now,
+      now,
+      localOnly ? 1 : 0,
+    );
     return { id, createdAt: now };
   }
 
@@ -99,77 +221,818 @@ class SqliteManager {
     return row;
   }
 
-  updateMemory(id, content, metadata = null) {
+  // The replaced version is kept in memory_revisions; `source` records
+  // what caused the change (e.g. 'restore', 'sync'). 'session' appends
+  // keep no revision: the earlier text is still the start of the content,
+  // and a copy per Stop would bloat every sync export.
+  updateMemory(id, content, metadata = null, source = 'local') {
+    const current = this.db
+      .prepare(
+        'SELECT content, metadata, updated_at FROM memories WHERE id = ?',
+      )
+      .get(id);
+    if (!current) return;
+
+    const nextMetadata = metadata !== null ? JSON.stringify(metadata) : null;
+    if (
+      current.content === content &&
+      (nextMetadata === null || nextMetadata === current.metadata)
+    ) {
+      return;
+    }
+
     const now = Date.now();
-    const updates = ['content = ?', 'updated_at = ?', 'sync_status = ?'];
-    const params = [content, now, 'pending'];
+    const updates = [
+      'content = ?',
+      'search_text = ?',
+      'updated_at = ?',
+      'sync_status = ?',
+    ];
+    const params = [content, codeTerms(content), now, 'pending'];
 
-    if (metadata !== null) {
+    if (nextMetadata !== null) {
       updates.push('metadata = ?');
-      params.push(JSON.stringify(metadata));
+      params.push(nextMetadata);
     }
 
     params.push(id);
     const stmt = this.db.prepare(
       `UPDATE memories SET ${updates.join(', ')} WHERE id = ?`,
     );
-    stmt.run(...params);
+
+    this.db.transaction(() => {
+      if (source !== 'session') {
+        this.addRevision(id, {
+          content: current.content,
+          metadata: current.metadata,
+          source,
+          updatedAt: current.updated_at,
+        });
+      }
+      stmt.run(...params);
+    })();
+  }
+
+  addRevision(memoryId, { content, metadata, source, updatedAt }) {
+    const { next } = this.db
+      .prepare(
+        'SELECT COALESCE(MAX(revision), 0) + 1 as next FROM memory_revisions WHERE memory_id = ?',
+      )
+      .get(memoryId);
+    this.db
+      .prepare(`
+        INSERT INTO memory_revisions (memory_id, revision, content, metadata, source, updated_at, recorded_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `)
+      .run(
+        memoryId,
+        next,
+        content,
+        typeof metadata === 'string' ? metadata : JSON.stringify(metadata),
+        source,
+        updatedAt,
+        Date.now(),
+      );
+    return next;
+  }
+
+  // Oldest first
+  listRevisions(memoryId) {
+    const stmt = this.db.prepare(`
+      SELECT * FROM memory_revisions
+      WHERE memory_id = ?
+      ORDER BY revision ASC
+    `);
+    return stmt.all(memoryId).map((row) => {
+      if (row.metadata) row.metadata = JSON.parse(row.metadata);
+      return row;
+    });
+  }
+
+  getRevision(memoryId, revision) {
+    const stmt = this.db.prepare(
+      'SELECT * FROM memory_revisions WHERE memory_id = ? AND revision = ?',
+    );
+    const row = stmt.get(memoryId, revision);
+    if (row?.metadata) row.metadata = JSON.parse(row.metadata);
+    return row;
+  }
+
+  /**
+   * Revisions from the sync repo. One already present (same content and
+   * timestamp) is skipped; one whose number was taken by a different
+   * revision made on this machine is appended with the next free number.
+   */
+  importRevisions(memoryId, revisions) {
+    const known = this.db.prepare(`
+      SELECT 1 FROM memory_revisions
+      WHERE memory_id = ? AND content = ? AND updated_at = ?
+    `);
+    const taken = this.db.prepare(
+      'SELECT 1 FROM memory_revisions WHERE memory_id = ? AND revision = ?',
+    );
+    const next = this.db.prepare(
+      'SELECT COALESCE(MAX(revision), 0) + 1 as next FROM memory_revisions WHERE memory_id = ?',
+    );
+    const stmt = this.db.prepare(`
+      INSERT INTO memory_revisions (memory_id, revision, content, metadata, source, updated_at, recorded_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+    this.db.transaction(() => {
+      for (const rev of revisions) {
+        if (known.get(memoryId, rev.content, rev.updatedAt)) continue;
+        stmt.run(
+          memoryId,
+          taken.get(memoryId, rev.revision)
+            ? next.get(memoryId).next
+            : rev.revision,
+          rev.content,
+          JSON.stringify(rev.metadata || {}),
+          rev.source || 'sync',
+          rev.updatedAt,
+          rev.recordedAt || Date.now(),
+        );
+      }
+    })();
+  }
+
+  // Moves a memory to the trash; it is exported as deleted on next sync
+  deleteMemory(id, deletedAt = Date.now()) {
+    const stmt = this.db.prepare(`
+      UPDATE memories
+      SET deleted_at = ?, updated_at = ?, sync_status = 'pending'
+      WHERE id = ? AND deleted_at IS NULL
+    `);
+    return stmt.run(deletedAt, deletedAt, id).changes > 0;
+  }
+
+  restoreMemory(id) {
+    const stmt = this.db.prepare(`
+      UPDATE memories
+      SET deleted_at = NULL, updated_at = ?, sync_status = 'pending'
+      WHERE id = ? AND deleted_at IS NOT NULL
+    `);
+    return stmt.run(Date.now(), id).changes > 0;
+  }
+
+  listDeleted(containerTag = null, limit = 50) {
+    let sql = 'SELECT * FROM memories WHERE deleted_at IS NOT NULL';
+    const params = [];
+    if (containerTag) {
+      sql += ' AND container_tag = ?';
+      params.push(containerTag);
+    }
+    sql += ' ORDER BY deleted_at DESC LIMIT ?';
+    params.push(limit);
+
+    const rows = this.db.prepare(sql).all(...params);
+    return rows.map((row) => {
+      if (row.metadata) row.metadata = JSON.parse(row.metadata);
+      return row;
+    });
+  }
+
+  /**
+   * Remove a memory for good, leaving a tombstone behind. Pass
+   * `synced = true` when the purge itself came from the sync repo.
+   */
+  purgeMemory(id, synced = false) {
+    const row = this.db
+      .prepare(
+        'SELECT container_tag, created_at, deleted_at, local_only FROM memories WHERE id = ?',
+      )
+      .get(id);
+    if (!row) return false;
+
+    const now = Date.now();
+    this.db.transaction(() => {
+      // A local-only memory was never exported, so there is nothing to
+      // delete remotely
+      this.recordTombstone(
+        id,
+        row.container_tag,
+        row.created_at,
+        row.deleted_at || now,
+        synced || !!row.local_only,
+      );
+      this.db.prepare('DELETE FROM memories WHERE id = ?').run(id);
+    })();
+    return true;
+  }
+
+  // Purge everything that has been in the trash since before `cutoff`
+  purgeDeleted(cutoff = Date.now(), containerTag = null) {
+    let sql =
+      'SELECT id FROM memories WHERE deleted_at IS NOT NULL AND deleted_at <= ?';
+    const params = [cutoff];
+    if (containerTag) {
+      sql += ' AND container_tag = ?';
+      params.push(containerTag);
+    }
+    const ids = this.db
+      .prepare(sql)
+      .all(...params)
+      .map((r) => r.id);
+    for (const id of ids) this.purgeMemory(id);
+    return ids.length;
+  }
+
+  recordTombstone(id, containerTag, createdAt, deletedAt, synced = false) {
+    const stmt = this.db.prepare(`
+      INSERT OR REPLACE INTO tombstones (memory_id, container_tag, created_at, deleted_at, purged_at, sync_status)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `);
+    stmt.run(
+      id,
+      containerTag,
+      createdAt,
+      deletedAt,
+      Date.now(),
+      synced ? 'synced' : 'pending',
+    );
+  }
+
+  isTombstoned(id) {
+    const stmt = this.db.prepare(
+      'SELECT 1 FROM tombstones WHERE memory_id = ?',
+    );
+    return !!stmt.get(id);
   }
 
-  deleteMemory(id) {
-    const stmt = this.db.prepare('DELETE FROM memories WHERE id = ?');
-    stmt.run(id);
+  getPendingTombstones(policy = null) {
+    const filter = syncPolicyClause(policy);
+    return this.db
+      .prepare(
+        `SELECT * FROM tombstones WHERE sync_status = 'pending'${filter.sql}`,
+      )
+      .all(...filter.params);
   }
 
-  listMemories(containerTag, limit = 20) {
+  markTombstonesSynced(ids) {
+    const placeholders = ids.map(() => '?').join(',');
+    const stmt = this.db.prepare(`
+      UPDATE tombstones SET sync_status = 'synced'
+      WHERE memory_id IN (${placeholders})
+    `);
+    stmt.run(...ids);
+  }
+
+  listMemories(containerTag, limit = 20, tag = null) {
+    const container = containerClause(containerTag);
+    const filter = buildFilterClause(tag ? { tag } : null);
     const stmt = this.db.prepare(`
-      SELECT * FROM memories
-      WHERE container_tag = ?
-      ORDER BY created_at DESC
+      SELECT m.* FROM memories m
+      WHERE 1 = 1${container.sql}${filter.sql}
+      ORDER BY m.created_at DESC
       LIMIT ?
     `);
-    const rows = stmt.all(containerTag, limit);
+    const rows = stmt.all(...container.params, ...filter.params, limit);
     return rows.map((row) => {
       if (row.metadata) row.metadata = JSON.parse(row.metadata);
       return row;
     });
   }
 
-  getPendingSync() {
+  // With a SyncPolicy, memories that must stay on this machine are left out.
+  // A memory with an open conflict waits for resolveConflict(), so a push
+  // cannot settle it by overwriting the other machine's version.
+  getPendingSync(policy = null) {
+    const filter = syncPolicyClause(policy);
     const stmt = this.db.prepare(
-      `SELECT * FROM memories WHERE sync_status = 'pending'`,
+      `SELECT * FROM memories WHERE sync_status = 'pending'
+        AND id NOT IN (SELECT memory_id FROM conflicts WHERE resolved_at IS NULL)${policy ? ' AND local_only = 0' : ''}${filter.sql}`,
     );
-    const rows = stmt.all();
+    const rows = stmt.all(...filter.params);
     return rows.map((row) => {
       if (row.metadata) row.metadata = JSON.parse(row.metadata);
+      row.tags = this.getTags(row.id);
+      row.revisions = this.listRevisions(row.id);
       return row;
     });
   }
 
-  markSynced(ids) {
+  /**
+   * Record the hash of each pushed snapshot (rows as returned by
+   * getPendingSync()) as the merge base for the next pull. A row edited
+   * or moved since its snapshot was taken stays pending, so the newer
+   * version is pushed next time instead of losing to the older remote copy.
+   */
+  markSynced(snapshots) {
     const now = Date.now();
-    const placeholders = ids.map(() => '?').join(',');
     const stmt = this.db.prepare(`
       UPDATE memories
-      SET sync_status = 'synced', synced_at = ?
-      WHERE id IN (${placeholders})
+      SET synced_at = ?, synced_hash = ?, moved_from = ?,
+        sync_status = CASE WHEN ? THEN 'synced' ELSE sync_status END
+      WHERE id = ?
     `);
-    stmt.run(now, ...ids);
+    this.db.transaction(() => {
+      for (const snapshot of snapshots) {
+        const current = this.getMemory(snapshot.id);
+        if (!current) continue;
+        current.tags = this.getTags(snapshot.id);
+        const pushedHash = memoryHash(snapshot);
+        const sameContainer = current.container_tag === snapshot.container_tag;
+        const unchanged = sameContainer && memoryHash(current) === pushedHash;
+        // The push removed any older copy; a move since then leaves the
+        // pushed one behind
+        const movedFrom = sameContainer ? null : snapshot.container_tag;
+        stmt.run(now, pushedHash, movedFrom, unchanged ? 1 : 0, snapshot.id);
+      }
+    })();
+  }
+
+  /**
+   * Insert or overwrite a memory with a copy from the sync repo, keeping
+   * its timestamps. The result is marked synced, not pending.
+   */
+  importMemory(memory) {
+    const metadata =
+      typeof memory.metadata === 'string'
+        ? memory.metadata
+        : JSON.stringify(memory.metadata || {});
+    const stmt = this.db.prepare(`
+      INSERT INTO memories (id, content, container_tag, metadata, search_text, created_at, updated_at, deleted_at, sync_status, synced_at, synced_hash)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'synced', ?, ?)
+      ON CONFLICT(id) DO UPDATE SET
+        content = excluded.content,
+        container_tag = excluded.container_tag,
+        metadata = excluded.metadata,
+        search_text = excluded.search_text,
+        updated_at = excluded.updated_at,
+        deleted_at = excluded.deleted_at,
+        moved_from = NULL,
+        sync_status = 'synced',
+        synced_at = excluded.synced_at,
+        synced_hash = excluded.synced_hash
+    `);
+
+    this.db.transaction(() => {
+      // Remote timestamps can be older than the stored vector, so drop it
+      // rather than rely on updated_at to trigger re-embedding
+      this.db
+        .prepare('DELETE FROM memory_embeddings WHERE memory_id = ?')
+        .run(memory.id);
+      this.db
+        .prepare('DELETE FROM memory_tags WHERE memory_id = ?')
+        .run(memory.id);
+      stmt.run(
+        memory.id,
+        memory.content,
+        memory.container_tag,
+        metadata,
+        codeTerms(memory.content),
+        memory.created_at,
+        memory.updated_at,
+        memory.deleted_at || null,
+        Date.now(),
+        memoryHash(memory),
+      );
+      this.addTags(memory.id, memory.tags || []);
+      if (memory.revisions?.length > 0) {
+        this.importRevisions(memory.id, memory.revisions);
+      }
+      // addTags() touched the row; put back the remote state
+      this.db
+        .prepare(
+          `UPDATE memories SET sync_status = 'synced', updated_at = ? WHERE id = ?`,
+        )
+        .run(memory.updated_at, memory.id);
+    })();
+  }
+
+  setSyncedHash(id, hash) {
+    this.db
+      .prepare('UPDATE memories SET synced_hash = ? WHERE id = ?')
+      .run(hash, id);
+  }
+
+  // Re-detecting a conflict refreshes the stored versions
+  recordConflict(local, remote) {
+    const snapshot = (memory) =>
+      JSON.stringify({
+        content: memory.content,
+        metadata:
+          typeof memory.metadata === 'string'
+            ? JSON.parse(memory.metadata)
+            : memory.metadata,
+        tags: memory.tags || [],
+        updatedAt: memory.updated_at,
+        deletedAt: memory.deleted_at || null,
+      });
+    const remoteHash = memoryHash(remote);
+    const open = this.getConflict(local.id);
+    if (open?.remote_hash === remoteHash) return open.id;
+
+    if (open) {
+      this.db
+        .prepare(`
+          UPDATE conflicts
+          SET local_version = ?, remote_version = ?, remote_hash = ?, detected_at = ?
+          WHERE id = ?
+        `)
+        .run(
+          snapshot(local),
+          JSON.stringify(remote),
+          remoteHash,
+          Date.now(),
+          open.id,
+        );
+      return open.id;
+    }
+
+    const result = this.db
+      .prepare(`
+        INSERT INTO conflicts (memory_id, local_version, remote_version, remote_hash, detected_at)
+        VALUES (?, ?, ?, ?, ?)
+      `)
+      .run(
+        local.id,
+        snapshot(local),
+        JSON.stringify(remote),
+        remoteHash,
+        Date.now(),
+      );
+    return result.lastInsertRowid;
+  }
+
+  // The open conflict for a memory; remote_version is the full imported row
+  getConflict(memoryId) {
+    const row = this.db
+      .prepare(
+        'SELECT * FROM conflicts WHERE memory_id = ? AND resolved_at IS NULL',
+      )
+      .get(memoryId);
+    if (!row) return null;
+    row.local_version = JSON.parse(row.local_version);
+    row.remote_version = JSON.parse(row.remote_version);
+    return row;
+  }
+
+  listConflicts() {
+    return this.db
+      .prepare(
+        'SELECT memory_id FROM conflicts WHERE resolved_at IS NULL ORDER BY detected_at',
+      )
+      .all()
+      .map((r) => this.getConflict(r.memory_id));
+  }
+
+  // Every stored text, trash and history included, for the secret scanner
+  getScannableRows() {
+    return {
+      memories: this.db
+        .prepare('SELECT id, content, metadata FROM memories')
+        .all(),
+      revisions: this.db
+        .prepare(
+          'SELECT memory_id, revision, content, metadata FROM memory_revisions',
+        )
+        .all(),
+      observations: this.db
+        .prepare('SELECT id, summary, metadata FROM observations')
+        .all(),
+      profiles: this.db.prepare('SELECT id, fact FROM profiles').all(),
+    };
+  }
+
+  // In-place rewrites for redaction: no revision keeps the old text, and
+  // the memory or fact is queued so the remote copy is replaced too
+  redactMemory(id, content, metadata) {
+    this.db
+      .prepare(`
+        UPDATE memories
+        SET content = ?, search_text = ?, metadata = ?, updated_at = ?, sync_status = 'pending'
+        WHERE id = ?
+      `)
+      .run(content, codeTerms(content), metadata, Date.now(), id);
+  }
+
+  redactRevision(memoryId, revision, content, metadata) {
+    this.db.transaction(() => {
+      this.db
+        .prepare(`
+          UPDATE memory_revisions SET content = ?, metadata = ?
+          WHERE memory_id = ? AND revision = ?
+        `)
+        .run(content, metadata, memoryId, revision);
+      this.db
+        .prepare(`UPDATE memories SET sync_status = 'pending' WHERE id = ?`)
+        .run(memoryId);
+    })();
+  }
+
+  redactObservation(id, summary, metadata) {
+    this.db
+      .prepare('UPDATE observations SET summary = ?, metadata = ? WHERE id = ?')
+      .run(summary, metadata, id);
+  }
+
+  redactProfileFact(id, fact) {
+    this.db
+      .prepare(`
+        UPDATE profiles SET fact = ?, updated_at = ?, sync_status = 'pending'
+        WHERE id = ?
+      `)
+      .run(fact, Date.now(), id);
+  }
+
+  // Returns false when the memory does not exist. Clearing the flag queues
+  // the memory for the next push.
+  setLocalOnly(id, localOnly) {
+    const stmt = this.db.prepare(
+      localOnly
+        ? 'UPDATE memories SET local_only = 1 WHERE id = ?'
+        : `UPDATE memories SET local_only = 0, sync_status = 'pending' WHERE id = ?`,
+    );
+    return stmt.run(id).changes > 0;
+  }
+
+  listLocalOnly(limit = 50) {
+    return this.db
+      .prepare(`
+        SELECT id, content, container_tag, created_at FROM memories
+        WHERE local_only = 1 AND deleted_at IS NULL
+        ORDER BY created_at DESC
+        LIMIT ?
+      `)
+      .all(limit);
+  }
+
+  // Every project with memories, named after the most recent project name
+  // recorded in metadata
+  listProjects() {
+    return this.db
+      .prepare(`
+        SELECT container_tag,
+          COUNT(*) AS memories,
+          SUM(local_only) AS local_only,
+          (SELECT json_extract(p.metadata, '$.project') FROM memories p
+            WHERE p.container_tag = m.container_tag
+              AND json_extract(p.metadata, '$.project') IS NOT NULL
+            ORDER BY p.created_at DESC LIMIT 1) AS project
+        FROM memories m
+        WHERE deleted_at IS NULL
+        GROUP BY container_tag
+        ORDER BY project, container_tag
+      `)
+      .all();
+  }
+
+  registerContainer({ tag, name, path, remote }) {
+    const now = Date.now();
+    this.db
+      .prepare(`
+        INSERT INTO containers (tag, name, path, remote, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+        ON CONFLICT(tag) DO UPDATE SET
+          name = excluded.name,
+          path = excluded.path,
+          remote = excluded.remote,
+          updated_at = excluded.updated_at
+      `)
+      .run(tag, name, path, remote || null, now, now);
   }
 
-  searchMemories(query, containerTag = null, limit = 10) {
+  listContainers() {
+    return this.db.prepare('SELECT * FROM containers ORDER BY name').all();
+  }
+
+  removeContainer(tag) {
+    return (
+      this.db.prepare('DELETE FROM containers WHERE tag = ?').run(tag).changes >
+      0
+    );
+  }
+
+  // Including trashed ones, so a merge leaves nothing behind
+  listContainerMemoryIds(containerTag) {
+    return this.db
+      .prepare('SELECT id FROM memories WHERE container_tag = ?')
+      .all(containerTag)
+      .map((row) => row.id);
+  }
+
+  /**
+   * Re-tag memories and queue them for push. A memory that was pushed
+   * before keeps the container it was pushed under in moved_from, so the
+   * push can drop that copy from the repo. `localOnly` marks the moved
+   * memories local_only.
+   * @returns {number} memories moved
+   */
+  moveMemories(ids, containerTag, { localOnly = false } = {}) {
+    const now = Date.now();
+    const stmt = this.db.prepare(`
+      UPDATE memories SET
+        moved_from = CASE WHEN synced_at IS NULL THEN moved_from
+          ELSE COALESCE(moved_from, container_tag) END,
+        container_tag = ?,
+        local_only = CASE WHEN ? THEN 1 ELSE local_only END,
+        updated_at = ?,
+        sync_status = 'pending'
+      WHERE id = ? AND container_tag != ?
+    `);
+    let moved = 0;
+    this.db.transaction(() => {
+      for (const id of ids) {
+        moved += stmt.run(
+          containerTag,
+          localOnly ? 1 : 0,
+          now,
+          id,
+          containerTag,
+        ).changes;
+      }
+    })();
+    return moved;
+  }
+
+  // Fact ids are derived from the container, so each fact is re-added
+  // under the new one and deleted from the old
+  moveProfileFacts(fromTag, toTag) {
+    const facts = this.db
+      .prepare(
+        'SELECT * FROM profiles WHERE container_tag = ? AND deleted_at IS NULL',
+      )
+      .all(fromTag);
+    this.db.transaction(() => {
+      for (const fact of facts) {
+        this.addProfileFact(null, toTag, fact.fact, fact.type);
+        this.deleteProfileFact(fact.id);
+      }
+    })();
+    return facts.length;
+  }
+
+  countConflicts() {
+    return this.db
+      .prepare(
+        'SELECT COUNT(*) as count FROM conflicts WHERE resolved_at IS NULL',
+      )
+      .get().count;
+  }
+
+  markConflictResolved(memoryId, resolution) {
+    this.db
+      .prepare(`
+        UPDATE conflicts SET resolved_at = ?, resolution = ?
+        WHERE memory_id = ? AND resolved_at IS NULL
+      `)
+      .run(Date.now(), resolution, memoryId);
+  }
+
+  getSyncState(key) {
+    const row = this.db
+      .prepare('SELECT value FROM sync_state WHERE key = ?')
+      .get(key);
+    return row ? row.value : null;
+  }
+
+  setSyncState(key, value) {
+    this.db
+      .prepare(
+        'INSERT OR REPLACE INTO sync_state (key, value, updated_at) VALUES (?, ?, ?)',
+      )
+      .run(key, value, Date.now());
+  }
+
+  // Coalesces: while a job is waiting, enqueueing again returns it
+  // Joins a job that has not started; one that is running was read before
+  // this write, so the write needs a sync of its own
+  enqueueSync(reason) {
+    const waiting = this.db
+      .prepare(
+        `SELECT id FROM sync_queue WHERE status = 'queued' AND attempts = 0`,
+      )
+      .get();
+    if (waiting) return waiting.id;
+
+    const now = Date.now();
+    const result = this.db
+      .prepare(`
+        INSERT INTO sync_queue (reason, enqueued_at, next_attempt_at)
+        VALUES (?, ?, ?)
+      `)
+      .run(reason, now, now);
+    return result.lastInsertRowid;
+  }
+
+  getDueSyncJobs(now = Date.now()) {
+    return this.db
+      .prepare(`
+        SELECT * FROM sync_queue
+        WHERE status = 'queued' AND next_attempt_at <= ?
+        ORDER BY next_attempt_at
+      `)
+      .all(now);
+  }
+
+  logSyncAttempt(jobId, startedAt, error = null) {
+    this.db
+      .prepare(`
+        INSERT INTO sync_attempts (job_id, attempted_at, duration_ms, error)
+        VALUES (?, ?, ?, ?)
+      `)
+      .run(jobId, startedAt, Date.now() - startedAt, error);
+    // Keep the log bounded
+    this.db
+      .prepare(`
+        DELETE FROM sync_attempts
+        WHERE id <= (SELECT MAX(id) FROM sync_attempts) - 200
+      `)
+      .run();
+  }
+
+  // Claim jobs for a run; completeSyncJobs() or failSyncJob() settles them
+  startSyncJobs(ids) {
+    const placeholders = ids.map(() => '?').join(',');
+    this.db
+      .prepare(
+        `UPDATE sync_queue SET status = 'running' WHERE id IN (${placeholders})`,
+      )
+      .run(...ids);
+  }
+
+  // Jobs left 'running' by a worker that died; only call under the sync
+  // lock, when no run can be in progress
+  requeueRunningJobs() {
+    this.db
+      .prepare(
+        `UPDATE sync_queue SET status = 'queued' WHERE status = 'running'`,
+      )
+      .run();
+  }
+
+  // A successful sync covers the jobs it ran and retries of writes made
+  // before it started. Fresh jobs that were not claimed get their own run.
+  completeSyncJobs(startedAt) {
+    this.db
+      .prepare(`
+        DELETE FROM sync_queue
+        WHERE status = 'running'
+          OR (status = 'queued' AND attempts > 0 AND enqueued_at <= ?)
+      `)
+      .run(startedAt);
+  }
+
+  failSyncJob(jobId, error, nextAttemptAt) {
+    const status = nextAttemptAt === null ? 'failed' : 'queued';
+    this.db
+      .prepare(`
+        UPDATE sync_queue
+        SET attempts = attempts + 1, last_error = ?, status = ?,
+            next_attempt_at = COALESCE(?, next_attempt_at)
+        WHERE id = ?
+      `)
+      .run(error, status, nextAttemptAt, jobId);
+  }
+
+  getSyncQueueStats() {
+    const counts = this.db
+      .prepare(`
+        SELECT
+          SUM(status = 'queued') as queued,
+          SUM(status = 'running') as running,
+          SUM(status = 'failed') as failed,
+          MIN(CASE WHEN status = 'queued' THEN next_attempt_at END) as next_attempt_at
+        FROM sync_queue
+      `)
+      .get();
+    const lastAttempt = this.db
+      .prepare('SELECT * FROM sync_attempts ORDER BY id DESC LIMIT 1')
+      .get();
+    return {
+      queued: counts.queued || 0,
+      running: counts.running || 0,
+      failed: counts.failed || 0,
+      nextAttemptAt: counts.next_attempt_at,
+      lastAttempt: lastAttempt || null,
+    };
+  }
+
+  // `query` is raw user text; it is translated into a safe FTS5 expression
+  searchMemories(query, containerTag = null, limit = 10, filters = null) {
+    const expression = buildMatchQuery(query);
+    if (!expression) return [];
+    return this.matchMemories(expression, containerTag, limit, filters);
+  }
+
+  // `expression` must already be valid FTS5 syntax (see fts-query.js)
+  matchMemories(expression, containerTag = null, limit = 10, filters = null) {
     let sql = `
       SELECT m.*, rank * -1 as relevance_score
       FROM memories_fts f
       JOIN memories m ON f.rowid = m.rowid
       WHERE memories_fts MATCH ?
     `;
-    const params = [query];
+    const params = [expression];
 
-    if (containerTag) {
-      sql += ' AND m.container_tag = ?';
-      params.push(containerTag);
-    }
+    const container = containerClause(containerTag);
+    sql += container.sql;
+    params.push(...container.params);
+
+    const filter = buildFilterClause(filters);
+    sql += filter.sql;
+    params.push(...filter.params);
 
     sql += ' ORDER BY rank LIMIT ?';
     params.push(limit);
@@ -182,82 +1045,340 @@ class SqliteManager {
     });
   }
 
-  getContextMemories(containerTag, projectName, limit = 10) {
-    // Hybrid: recent + relevant memories for context injection
-    const recentStmt = this.db.prepare(`
-      SELECT *, 1.0 as score FROM memories
-      WHERE container_tag = ?
-      ORDER BY created_at DESC
-      LIMIT ?
-    `);
-    const recent = recentStmt.all(containerTag, Math.floor(limit / 2));
+  // The ones among `ids` that match an FTS5 expression
+  matchingIds(expression, ids) {
+    if (ids.length === 0) return new Set();
+    const placeholders = ids.map(() => '?').join(',');
+    const rows = this.db
+      .prepare(`
+        SELECT m.id FROM memories_fts f
+        JOIN memories m ON f.rowid = m.rowid
+        WHERE memories_fts MATCH ? AND m.id IN (${placeholders})
+      `)
+      .all(expression, ...ids);
+    return new Set(rows.map((row) => row.id));
+  }
 
-    // FTS search for project-relevant
-    const searchStmt = this.db.prepare(`
-      SELECT m.*, rank * -1 as score
-      FROM memories_fts f
-      JOIN memories m ON f.rowid = m.rowid
-      WHERE memories_fts MATCH ? AND m.container_tag = ?
-      ORDER BY rank
-      LIMIT ?
-    `);
-    const relevant = searchStmt.all(
-      projectName,
-      containerTag,
-      Math.floor(limit / 2),
-    );
+  // Filter-only listing (no text query), newest first
+  filterMemories(filters, containerTag = null, limit = 10) {
+    let sql = 'SELECT m.* FROM memories m WHERE 1 = 1';
+    const params = [];
 
-    // Combine and dedupe
-    const seen = new Set(recent.map((r) => r.id));
-    const combined = [...recent];
-    for (const mem of relevant) {
-      if (!seen.has(mem.id)) {
-        combined.push(mem);
-        seen.add(mem.id);
-      }
-    }
+    const container = containerClause(containerTag);
+    sql += container.sql;
+    params.push(...container.params);
 
-    return combined.slice(0, limit).map((row) => {
+    const filter = buildFilterClause(filters);
+    sql += `${filter.sql} ORDER BY m.created_at DESC LIMIT ?`;
+    params.push(...filter.params, limit);
+
+    const rows = this.db.prepare(sql).all(...params);
+    return rows.map((row) => {
       if (row.metadata) row.metadata = JSON.parse(row.metadata);
       return row;
     });
   }
 
-  addProfileFact(id, containerTag, fact, type = 'static') {
-    const now = Date.now();
+  // Adds tags to a memory; returns the normalized names that were valid
+  addTags(memoryId, tags) {
+    const names = [...new Set(tags.map(normalizeTag).filter(Boolean))];
+    if (names.length === 0) return [];
+
+    const insertTag = this.db.prepare(
+      'INSERT OR IGNORE INTO tags (name) VALUES (?)',
+    );
+    const link = this.db.prepare(`
+      INSERT OR IGNORE INTO memory_tags (memory_id, tag_id)
+      SELECT ?, id FROM tags WHERE name = ?
+    `);
+    this.db.transaction(() => {
+      for (const name of names) {
+        insertTag.run(name);
+        link.run(memoryId, name);
+      }
+      this.touchMemory(memoryId);
+    })();
+    return names;
+  }
+
+  removeTags(memoryId, tags) {
+    const names = tags.map(normalizeTag).filter(Boolean);
     const stmt = this.db.prepare(`
-      INSERT OR REPLACE INTO profiles (id, container_tag, fact, type, created_at)
+      DELETE FROM memory_tags
+      WHERE memory_id = ? AND tag_id = (SELECT id FROM tags WHERE name = ?)
+    `);
+    this.db.transaction(() => {
+      for (const name of names) stmt.run(memoryId, name);
+      this.touchMemory(memoryId);
+    })();
+  }
+
+  // Replace the full tag set, e.g. when importing a memory from sync
+  setTags(memoryId, tags) {
+    this.db
+      .prepare('DELETE FROM memory_tags WHERE memory_id = ?')
+      .run(memoryId);
+    return this.addTags(memoryId, tags);
+  }
+
+  getTags(memoryId) {
+    const stmt = this.db.prepare(`
+      SELECT t.name FROM memory_tags mt JOIN tags t ON t.id = mt.tag_id
+      WHERE mt.memory_id = ?
+      ORDER BY t.name
+    `);
+    return stmt.all(memoryId).map((r) => r.name);
+  }
+
+  // Tag names with usage counts, optionally limited to one container
+  listTags(containerTag = null) {
+    let sql = `
+      SELECT t.name, COUNT(*) as count
+      FROM tags t
+      JOIN memory_tags mt ON mt.tag_id = t.id
+      JOIN memories m ON m.id = mt.memory_id
+      WHERE m.deleted_at IS NULL
+    `;
+    const params = [];
+    const container = containerClause(containerTag);
+    sql += container.sql;
+    params.push(...container.params);
+    sql += ' GROUP BY t.id ORDER BY count DESC, t.name';
+    return this.db.prepare(sql).all(...params);
+  }
+
+  // Tag changes must reach the sync repo like content changes do
+  touchMemory(id) {
+    const stmt = this.db.prepare(`
+      UPDATE memories SET sync_status = 'pending', updated_at = ?
+      WHERE id = ?
+    `);
+    stmt.run(Date.now(), id);
+  }
+
+  upsertEmbedding(memoryId, model, vector) {
+    const stmt = this.db.prepare(`
+      INSERT OR REPLACE INTO memory_embeddings (memory_id, model, dims, vector, updated_at)
       VALUES (?, ?, ?, ?, ?)
     `);
-    stmt.run(id, containerTag, fact, type, now);
+    stmt.run(
+      memoryId,
+      model,
+      vector.length,
+      vectorToBuffer(vector),
+      Date.now(),
+    );
   }
 
-  getProfile(containerTag, maxItems = 5) {
-    const staticStmt = this.db.prepare(`
-      SELECT fact FROM profiles
-      WHERE container_tag = ? AND type = 'static'
-      ORDER BY created_at DESC
+  // Memories with no vector for `model`, or whose content changed since
+  getMemoriesMissingEmbeddings(model, limit = 100) {
+    const stmt = this.db.prepare(`
+      SELECT m.id, m.content FROM memories m
+      LEFT JOIN memory_embeddings e ON e.memory_id = m.id
+      WHERE m.deleted_at IS NULL
+        AND (e.memory_id IS NULL OR e.model != ? OR e.updated_at < m.updated_at)
+      ORDER BY m.created_at DESC
       LIMIT ?
     `);
-    const staticFacts = staticStmt.all(containerTag, maxItems);
+    return stmt.all(model, limit);
+  }
+
+  // Brute-force cosine scan; returns [{ id, similarity }] best first
+  vectorSearch(
+    queryVector,
+    model,
+    containerTag = null,
+    limit = 10,
+    filters = null,
+  ) {
+    let sql = `
+      SELECT e.memory_id as id, e.vector FROM memory_embeddings e
+      JOIN memories m ON m.id = e.memory_id
+      WHERE e.model = ?
+    `;
+    const params = [model];
+
+    const container = containerClause(containerTag);
+    sql += container.sql;
+    params.push(...container.params);
+
+    const filter = buildFilterClause(filters);
+    sql += filter.sql;
+    params.push(...filter.params);
+
+    const scored = this.db
+      .prepare(sql)
+      .all(...params)
+      .map((row) => ({
+        id: row.id,
+        similarity: cosineSimilarity(queryVector, bufferToVector(row.vector)),
+      }));
+
+    scored.sort((a, b) => b.similarity - a.similarity);
+    return scored.slice(0, limit);
+  }
 
-    const dynamicStmt = this.db.prepare(`
+  getEmbedding(memoryId, model) {
+    const stmt = this.db.prepare(
+      'SELECT vector FROM memory_embeddings WHERE memory_id = ? AND model = ?',
+    );
+    const row = stmt.get(memoryId, model);
+    return row ? bufferToVector(row.vector) : null;
+  }
+
+  // `id` defaults to a hash of the fact, so the same fact added on two
+  // machines syncs as one
+  addProfileFact(id, containerTag, fact, type = 'static') {
+    const factId = id || profileFactId(containerTag, fact);
+    const now = Date.now();
+    const stmt = this.db.prepare(`
+      INSERT INTO profiles (id, container_tag, fact, type, created_at, updated_at, sync_status)
+      VALUES (?, ?, ?, ?, ?, ?, 'pending')
+      ON CONFLICT(id) DO UPDATE SET
+        fact = excluded.fact,
+        type = excluded.type,
+        updated_at = excluded.updated_at,
+        deleted_at = NULL,
+        sync_status = 'pending'
+    `);
+    stmt.run(factId, containerTag, fact, type, now, now);
+    return factId;
+  }
+
+  // Newest first; with several containers (sub-project, then repository)
+  // the first one's facts lead
+  getProfile(containerTag, maxItems = 5) {
+    const tags = [].concat(containerTag);
+    const container = containerClause(tags, 'container_tag');
+    const rank = tags.map(() => 'WHEN ? THEN ?').join(' ');
+    const rankParams = tags.flatMap((tag, i) => [tag, i]);
+    const stmt = this.db.prepare(`
       SELECT fact FROM profiles
-      WHERE container_tag = ? AND type = 'dynamic'
-      ORDER BY created_at DESC
+      WHERE type = ? AND deleted_at IS NULL${container.sql}
+      ORDER BY CASE container_tag ${rank} END, created_at DESC
       LIMIT ?
     `);
-    const dynamicFacts = dynamicStmt.all(containerTag, maxItems);
+    const facts = (type) =>
+      stmt
+        .all(type, ...container.params, ...rankParams, maxItems)
+        .map((r) => r.fact);
 
     return {
-      static: staticFacts.map((r) => r.fact),
-      dynamic: dynamicFacts.map((r) => r.fact),
+      static: facts('static'),
+      dynamic: facts('dynamic'),
     };
   }
 
+  // Soft delete, so the deletion reaches other machines
   deleteProfileFact(id) {
-    const stmt = this.db.prepare('DELETE FROM profiles WHERE id = ?');
-    stmt.run(id);
+    const now = Date.now();
+    const stmt = this.db.prepare(`
+      UPDATE profiles SET deleted_at = ?, updated_at = ?, sync_status = 'pending'
+      WHERE id = ? AND deleted_at IS NULL
+    `);
+    return stmt.run(now, now, id).changes > 0;
+  }
+
+  getProfileFact(id) {
+    return this.db.prepare('SELECT * FROM profiles WHERE id = ?').get(id);
+  }
+
+  getPendingProfileFacts(policy = null) {
+    const filter = syncPolicyClause(policy);
+    return this.db
+      .prepare(
+        `SELECT * FROM profiles WHERE sync_status = 'pending'${filter.sql}`,
+      )
+      .all(...filter.params);
+  }
+
+  markProfileFactsSynced(ids) {
+    const placeholders = ids.map(() => '?').join(',');
+    const stmt = this.db.prepare(`
+      UPDATE profiles SET sync_status = 'synced', synced_at = ?
+      WHERE id IN (${placeholders})
+    `);
+    stmt.run(Date.now(), ...ids);
+  }
+
+  // Insert or overwrite a fact with a copy from the sync repo
+  importProfileFact(fact) {
+    const stmt = this.db.prepare(`
+      INSERT OR REPLACE INTO profiles (id, container_tag, fact, type, created_at, updated_at, deleted_at, sync_status, synced_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, 'synced', ?)
+    `);
+    stmt.run(
+      fact.id,
+      fact.container_tag,
+      fact.fact,
+      fact.type,
+      fact.created_at,
+      fact.updated_at,
+      fact.deleted_at || null,
+      Date.now(),
+    );
+  }
+
+  addObservation(sessionId, containerTag, tool, summary, metadata = {}) {
+    const stmt = this.db.prepare(`
+      INSERT INTO observations (session_id, container_tag, tool, summary, metadata, created_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `);
+    const result = stmt.run(
+      sessionId,
+      containerTag,
+      tool,
+      summary,
+      JSON.stringify(metadata),
+      Date.now(),
+    );
+    return { id: result.lastInsertRowid };
+  }
+
+  getObservations(sessionId) {
+    const stmt = this.db.prepare(`
+      SELECT * FROM observations
+      WHERE session_id = ?
+      ORDER BY id ASC
+    `);
+    const rows = stmt.all(sessionId);
+    return rows.map((row) => {
+      if (row.metadata) row.metadata = JSON.parse(row.metadata);
+      return row;
+    });
+  }
+
+  clearObservations(sessionId, upToId = null) {
+    if (upToId !== null) {
+      const stmt = this.db.prepare(
+        'DELETE FROM observations WHERE session_id = ? AND id <= ?',
+      );
+      stmt.run(sessionId, upToId);
+      return;
+    }
+    const stmt = this.db.prepare(
+      'DELETE FROM observations WHERE session_id = ?',
+    );
+    stmt.run(sessionId);
+  }
+
+  getInjectedMemoryIds(sessionId) {
+    const stmt = this.db.prepare(
+      'SELECT memory_id FROM session_injections WHERE session_id = ?',
+    );
+    return stmt.all(sessionId).map((r) => r.memory_id);
+  }
+
+  markInjected(sessionId, memoryIds) {
+    const now = Date.now();
+    const stmt = this.db.prepare(`
+      INSERT OR IGNORE INTO session_injections (session_id, memory_id, injected_at)
+      VALUES (?, ?, ?)
+    `);
+    const insertAll = this.db.transaction((ids) => {
+      for (const id of ids) stmt.run(sessionId, id, now);
+    });
+    insertAll(memoryIds);
   }
 
   close() {
@@ -265,4 +1386,9 @@ class SqliteManager {
   }
 }
 
-module.exports = { SqliteManager, DEFAULT_DB_PATH };
+module.exports = {
+  SqliteManager,
+  DEFAULT_DB_PATH,
+  normalizeTag,
+  memoryHash,
+};
@@ -1,18 +1,103 @@
-const { SqliteManager } = require('./sqlite-manager');
+const { SqliteManager, memoryHash } = require('./sqlite-manager');
 const { GitHubSync } = require('./github-sync');
 const { GitHubAuth } = require('./github-auth');
+const { createRemoteProvider } = require('./git-remote');
+const { SyncPolicy } = require('./sync-policy');
+const { createRedactor, redactMetadata } = require('./redact');
+const { Keyring, deriveKey, keyFilePath } = require('./encryption');
+const {
+  buildKeywordQuery,
+  buildMatchQuery,
+  splitExclusions,
+} = require('./fts-query');
+const { createEmbeddingProvider, cosineSimilarity } = require('./embeddings');
+const { loadSettings, debugLog } = require('./settings');
+const { formatDiff } = require('./diff');
 const crypto = require('node:crypto');
 
+const MAX_EMBED_CHARS = 8000;
+const LAST_IMPORTED_COMMIT = 'last_imported_commit';
+const LAYOUTS = ['files', 'packed'];
+
+// Map an unbounded BM25 score onto 0..1 for display and thresholds
+function toSimilarity(score) {
+  if (!score || score < 0) return 0;
+  return score / (score + 1);
+}
+
+function mergeLists(a = [], b = []) {
+  return [...new Set([...a, ...b])];
+}
+
+function toResult(row, score) {
+  return {
+    id: row.id,
+    memory: row.content,
+    content: row.content,
+    similarity: score,
+    title: row.metadata?.title || null,
+    createdAt: new Date(row.created_at).toISOString(),
+    updatedAt: new Date(row.updated_at).toISOString(),
+  };
+}
+
 class StorageClient {
   constructor(dbPath = null) {
     this.db = new SqliteManager(dbPath);
-    this.auth = new GitHubAuth();
+    this.settings = loadSettings();
+    this.embedder = createEmbeddingProvider(this.settings);
+    this.redactor = createRedactor(this.settings);
+    this.auth = new GitHubAuth({
+      apiUrl: this.settings.githubApiUrl,
+      webUrl: this.settings.githubUrl,
+      clientId: this.settings.githubClientId,
+    });
     this.sync = null; // Lazy init
+    this._remote = null;
+    this._syncPolicy = null;
+    this._keyring = null;
+  }
+
+  get keyring() {
+    if (!this._keyring) {
+      this._keyring = new Keyring(keyFilePath(this.db.dbPath));
+    }
+    return this._keyring;
+  }
+
+  // Built on first use: path entries in settings shell out to git
+  get syncPolicy() {
+    if (!this._syncPolicy) {
+      this._syncPolicy = new SyncPolicy(this.settings);
+    }
+    return this._syncPolicy;
+  }
+
+  get remote() {
+    if (!this._remote) {
+      this._remote = createRemoteProvider(this.settings, this.auth);
+    }
+    return this._remote;
+  }
+
+  // Every write goes through here so secrets never reach the database
+  redact(text) {
+    return this.redactor(text).text;
+  }
+
+  redactMetadata(metadata) {
+    return redactMetadata(metadata, this.redactor).metadata;
   }
 
   async initSync() {
     if (!this.sync) {
-      this.sync = new GitHubSync(this.auth);
+      this.sync = new GitHubSync(this.remote, {
+        branch: this.settings.syncBranch,
+        syncDir: this.settings.syncDir || undefined,
+        layout: this.settings.syncLayout,
+        policy: this.syncPolicy,
+        keyring: this.keyring,
+      });
     }
   }
 
@@ -21,46 +106,301 @@ class StorageClient {
   }
 
   // Memory operations
-  async addMemory(content, containerTag, metadata = {}, customId = null) {
+  async addMemory(
+    content,
+    containerTag,
+    metadata = {},
+    customId = null,
+    tags = [],
+    { localOnly = false } = {},
+  ) {
     const id = customId || this.generateId('mem');
-    this.db.addMemory(id, content, containerTag, metadata);
+    content = this.redact(content);
+    this.db.addMemory(
+      id,
+      content,
+      containerTag,
+      this.redactMetadata(metadata),
+      {
+        localOnly,
+      },
+    );
+    if (tags.length > 0) this.db.addTags(id, tags);
+    await this.embedMemory(id, content);
     return { id, status: 'saved', containerTag };
   }
 
+  // Per-session buffer of tool activity, folded into the summary on Stop
+  async addObservation(sessionId, containerTag, tool, summary, metadata = {}) {
+    return this.db.addObservation(
+      sessionId,
+      containerTag,
+      tool,
+      this.redact(summary),
+      this.redactMetadata(metadata),
+    );
+  }
+
+  async getObservations(sessionId) {
+    return this.db.getObservations(sessionId);
+  }
+
+  async clearObservations(sessionId, upToId = null) {
+    this.db.clearObservations(sessionId, upToId);
+  }
+
+  // One memory per session; later Stop events append to it
+  async saveSessionSummary(sessionId, summary, containerTag, metadata = {}) {
+    const id = `session_${sessionId}`;
+    const existing = this.db.getMemory(id);
+    summary = this.redact(summary);
+    metadata = this.redactMetadata(metadata);
+
+    if (!existing) {
+      this.db.addMemory(id, summary, containerTag, {
+        ...metadata,
+        sessionId,
+        updates: 1,
+        timestamp: new Date().toISOString(),
+      });
+      await this.embedMemory(id, summary);
+      return { id, status: 'saved', containerTag };
+    }
+
+    const previous = existing.metadata || {};
+    const content = `${existing.content}\n\n---\n\n${summary}`;
+    this.db.updateMemory(
+      id,
+      content,
+      {
+        ...previous,
+        ...metadata,
+        sessionId,
+        turns: (previous.turns || 0) + (metadata.turns || 0),
+        tools: mergeLists(previous.tools, metadata.tools),
+        files: mergeLists(previous.files, metadata.files),
+        updates: (previous.updates || 1) + 1,
+        lastUpdated: new Date().toISOString(),
+      },
+      'session',
+    );
+    await this.embedMemory(id, content);
+    return { id, status: 'updated', containerTag };
+  }
+
+  // Best-effort: a failing embedding provider must never block a write
+  async embedMemory(id, content) {
+    if (!this.embedder) return false;
+    try {
+      const [vector] = await this.embedder.embed([
+        content.slice(0, MAX_EMBED_CHARS),
+      ]);
+      this.db.upsertEmbedding(id, this.embedder.id, vector);
+      return true;
+    } catch (err) {
+      debugLog(this.settings, 'Embedding failed', { id, error: err.message });
+      return false;
+    }
+  }
+
+  async backfillEmbeddings(limit = 100, batchSize = 32) {
+    if (!this.embedder) return { embedded: 0 };
+
+    const missing = this.db.getMemoriesMissingEmbeddings(
+      this.embedder.id,
+      limit,
+    );
+    let embedded = 0;
+    for (let i = 0; i < missing.length; i += batchSize) {
+      const batch = missing.slice(i, i + batchSize);
+      const vectors = await this.embedder.embed(
+        batch.map((m) => m.content.slice(0, MAX_EMBED_CHARS)),
+      );
+      batch.forEach((m, j) => {
+        this.db.upsertEmbedding(m.id, this.embedder.id, vectors[j]);
+      });
+      embedded += batch.length;
+    }
+    return { embedded, remaining: missing.length === limit };
+  }
+
+  async embedQuery(text) {
+    if (!this.embedder || !text) return null;
+    try {
+      const [vector] = await this.embedder.embed([text]);
+      return vector;
+    } catch (err) {
+      debugLog(this.settings, 'Query embedding failed', { error: err.message });
+      return null;
+    }
+  }
+
+  /**
+   * Fuse FTS5 (BM25) and vector (cosine) candidates into one ranked list.
+   * `ftsQuery` is a prebuilt FTS5 MATCH expression, `text` the natural-language
+   * query that gets embedded. Either side may be missing. `exclude` is an
+   * FTS5 expression for terms the vector candidates must not contain.
+   */
+  async hybridSearch(
+    ftsQuery,
+    text,
+    containerTag,
+    limit = 10,
+    filters = null,
+    exclude = null,
+  ) {
+    const candidates = new Map();
+
+    const ftsRows = ftsQuery
+      ? this.db.matchMemories(ftsQuery, containerTag, limit * 2, filters)
+      : [];
+    for (const row of ftsRows) {
+      candidates.set(row.id, {
+        row,
+        bm25: toSimilarity(row.relevance_score),
+        cosine: null,
+      });
+    }
+
+    const queryVector = await this.embedQuery(text);
+    if (queryVector) {
+      const model = this.embedder.id;
+      // Without a keyword match, a few shared hash buckets are not enough
+      const minSimilarity = this.settings.vectorMinSimilarity ?? 0.2;
+      for (const hit of this.db.vectorSearch(
+        queryVector,
+        model,
+        containerTag,
+        limit * 2,
+        filters,
+      )) {
+        const existing = candidates.get(hit.id);
+        if (existing) {
+          existing.cosine = hit.similarity;
+        } else if (hit.similarity >= minSimilarity) {
+          const row = this.db.getMemory(hit.id);
+          if (row)
+            candidates.set(hit.id, { row, bm25: 0, cosine: hit.similarity });
+        }
+      }
+      // The FTS query already left these out
+      if (exclude) {
+        const excluded = this.db.matchingIds(exclude, [...candidates.keys()]);
+        for (const id of excluded) candidates.delete(id);
+      }
+      // FTS hits that fell outside the vector top-k still deserve a cosine
+      for (const [id, c] of candidates) {
+        if (c.cosine !== null) continue;
+        const vector = this.db.getEmbedding(id, model);
+        c.cosine = vector ? cosineSimilarity(queryVector, vector) : 0;
+      }
+    }
+
+    const weight = queryVector ? (this.settings.vectorWeight ?? 0.5) : 0;
+    return [...candidates.values()]
+      .map(({ row, bm25, cosine }) => ({
+        row,
+        score: weight * Math.max(0, cosine || 0) + (1 - weight) * bm25,
+      }))
+      .filter(({ score }) => score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * @param {string} query - free text (quoted phrases, -exclusions allowed)
+   * @param {object} [options.filters] - structured filters from parseSearchQuery()
+   */
   async search(query, containerTag = null, options = {}) {
-    const results = this.db.searchMemories(
-      query,
+    const limit = options.limit || 10;
+
+    // Pure filter queries ("since:yesterday") list matches newest first
+    if (!buildMatchQuery(query) && options.filters) {
+      const rows = this.db.filterMemories(options.filters, containerTag, limit);
+      return {
+        results: rows.map((row) => ({
+          ...toResult(row, 1.0),
+          tags: this.db.getTags(row.id),
+        })),
+        total: rows.length,
+      };
+    }
+
+    // Excluded words must not steer the embedding either
+    const { text, exclude } = splitExclusions(query);
+    const hits = await this.hybridSearch(
+      buildMatchQuery(query),
+      text,
       containerTag,
-      options.limit || 10,
+      limit,
+      options.filters,
+      exclude,
     );
     return {
-      results: results.map((r) => ({
-        id: r.id,
-        memory: r.content,
-        content: r.content,
-        similarity: r.relevance_score || 0.5,
-        title: r.metadata?.title || null,
+      results: hits.map(({ row, score }) => ({
+        ...toResult(row, score),
+        tags: this.db.getTags(row.id),
       })),
-      total: results.length,
+      total: hits.length,
     };
   }
 
+  // Prompt-time recall: best matches not yet injected in this session
+  async recall(prompt, containerTag, sessionId, options = {}) {
+    const limit = options.limit || 3;
+    const minScore = options.minScore ?? 0.3;
+    const injected = new Set(this.db.getInjectedMemoryIds(sessionId));
+    // The session's own running summary is never useful as recall
+    injected.add(`session_${sessionId}`);
+
+    const hits = await this.hybridSearch(
+      buildKeywordQuery(prompt),
+      prompt,
+      containerTag,
+      limit * 4,
+    );
+    const results = hits
+      .filter(({ row, score }) => !injected.has(row.id) && score >= minScore)
+      .slice(0, limit)
+      .map(({ row, score }) => toResult(row, score));
+
+    if (results.length > 0) {
+      this.db.markInjected(
+        sessionId,
+        results.map((r) => r.id),
+      );
+    }
+
+    return { results, total: results.length };
+  }
+
+  // Recent memories plus the ones most related to the project
+  async getContextMemories(containerTag, projectName, limit = 10) {
+    const half = Math.floor(limit / 2);
+    const recent = this.db.listMemories(containerTag, half);
+    const relevant = await this.hybridSearch(
+      buildKeywordQuery(projectName),
+      projectName,
+      containerTag,
+      limit - half,
+    );
+
+    const seen = new Set(recent.map((r) => r.id));
+    const combined = recent.map((row) => toResult(row, 1.0));
+    for (const { row, score } of relevant) {
+      if (seen.has(row.id)) continue;
+      seen.add(row.id);
+      combined.push(toResult(row, score));
+    }
+    return combined.slice(0, limit);
+  }
+
   async getProfile(containerTag, query = null) {
     const profile = this.db.getProfile(containerTag);
 
     let searchResults = null;
     if (query) {
-      const results = this.db.searchMemories(query, containerTag, 10);
-      searchResults = {
-        results: results.map((r) => ({
-          id: r.id,
-          memory: r.content,
-          content: r.content,
-          similarity: r.relevance_score || 0.5,
-          title: r.metadata?.title || null,
-        })),
-        total: results.length,
-      };
+      searchResults = await this.search(query, containerTag, { limit: 10 });
     }
 
     return {
@@ -72,41 +412,261 @@ class StorageClient {
     };
   }
 
-  async listMemories(containerTag, limit = 20) {
-    const memories = this.db.listMemories(containerTag, limit);
+  async addProfileFact(containerTag, fact, type = 'static') {
+    if (type !== 'static' && type !== 'dynamic') {
+      throw new Error(`Unknown profile fact type: ${type}`);
+    }
+    const id = this.db.addProfileFact(
+      null,
+      containerTag,
+      this.redact(fact),
+      type,
+    );
+    return { id };
+  }
+
+  async deleteProfileFact(id) {
+    if (!this.db.deleteProfileFact(id)) {
+      throw new Error(`Profile fact not found: ${id}`);
+    }
+    return { success: true };
+  }
+
+  async listMemories(containerTag, limit = 20, tag = null) {
+    const memories = this.db.listMemories(containerTag, limit, tag);
     return { memories };
   }
 
+  // Tags
+  async addTags(memoryId, tags) {
+    if (!this.db.getMemory(memoryId)) {
+      throw new Error(`Memory not found: ${memoryId}`);
+    }
+    return { tags: this.db.addTags(memoryId, tags) };
+  }
+
+  async removeTags(memoryId, tags) {
+    this.db.removeTags(memoryId, tags);
+    return { tags: this.db.getTags(memoryId) };
+  }
+
+  async getTags(memoryId) {
+    return { tags: this.db.getTags(memoryId) };
+  }
+
+  async listTags(containerTag = null) {
+    return { tags: this.db.listTags(containerTag) };
+  }
+
+  async updateMemory(memoryId, content, metadata = null, source = 'local') {
+    if (!this.db.getMemory(memoryId)) {
+      throw new Error(`Memory not found: ${memoryId}`);
+    }
+    content = this.redact(content);
+    this.db.updateMemory(
+      memoryId,
+      content,
+      metadata !== null ? this.redactMetadata(metadata) : null,
+      source,
+    );
+    await this.embedMemory(memoryId, content);
+    return { id: memoryId, status: 'updated' };
+  }
+
+  // Revision history
+  async listRevisions(memoryId) {
+    return { revisions: this.db.listRevisions(memoryId) };
+  }
+
+  // `to` defaults to the current content
+  async diffRevisions(memoryId, from, to = null) {
+    const older = this.db.getRevision(memoryId, from);
+    if (!older) throw new Error(`Revision ${from} not found for ${memoryId}`);
+
+    const newer =
+      to === null
+        ? this.db.getMemory(memoryId)
+        : this.db.getRevision(memoryId, to);
+    if (!newer) {
+      throw new Error(
+        to === null
+          ? `Memory not found: ${memoryId}`
+          : `Revision ${to} not found for ${memoryId}`,
+      );
+    }
+
+    return { diff: formatDiff(older.content, newer.content) };
+  }
+
+  async restoreRevision(memoryId, revision) {
+    const target = this.db.getRevision(memoryId, revision);
+    if (!target) {
+      throw new Error(`Revision ${revision} not found for ${memoryId}`);
+    }
+    return this.updateMemory(
+      memoryId,
+      target.content,
+      target.metadata || {},
+      'restore',
+    );
+  }
+
+  // Deleted memories go to the trash and can be restored until purged
   async deleteMemory(memoryId) {
-    this.db.deleteMemory(memoryId);
+    if (!this.db.deleteMemory(memoryId)) {
+      throw new Error(`Memory not found or already deleted: ${memoryId}`);
+    }
     return { success: true };
   }
 
+  async restoreMemory(memoryId) {
+    if (!this.db.restoreMemory(memoryId)) {
+      throw new Error(`Memory not in trash: ${memoryId}`);
+    }
+    return { success: true };
+  }
+
+  async listTrash(containerTag = null, limit = 50) {
+    return { memories: this.db.listDeleted(containerTag, limit) };
+  }
+
+  async purgeMemory(memoryId) {
+    const memory = this.db.getMemory(memoryId);
+    if (!memory?.deleted_at) {
+      throw new Error(`Memory not in trash: ${memoryId}`);
+    }
+    this.db.purgeMemory(memoryId);
+    return { success: true };
+  }
+
+  async purgeDeleted(olderThanMs = 0, containerTag = null) {
+    const purged = this.db.purgeDeleted(Date.now() - olderThanMs, containerTag);
+    return { success: true, purged };
+  }
+
+  async setLocalOnly(memoryId, localOnly = true) {
+    if (!this.db.setLocalOnly(memoryId, localOnly)) {
+      throw new Error(`Memory not found: ${memoryId}`);
+    }
+    return { success: true };
+  }
+
+  // Projects whose memories stay on this machine under the sync settings
+  listLocalProjects() {
+    return this.db
+      .listProjects()
+      .filter((project) => !this.syncPolicy.isSynced(project.container_tag));
+  }
+
+  /**
+   * Record where a container's project lives. Memories still under the
+   * path-based tag it had before (`legacyTag`) are merged into it.
+   */
+  async registerContainer(container) {
+    this.db.registerContainer(container);
+    if (!container.legacyTag || container.legacyTag === container.tag) {
+      return { merged: 0 };
+    }
+    return this.mergeContainers(container.legacyTag, container.tag);
+  }
+
+  // Registered containers plus any tag that has memories, e.g. from
+  // another machine
+  listContainers() {
+    const byTag = new Map(
+      this.db
+        .listContainers()
+        .map((c) => [c.tag, { ...c, memories: 0, local_only: 0 }]),
+    );
+    for (const project of this.db.listProjects()) {
+      const known = byTag.get(project.container_tag);
+      byTag.set(project.container_tag, {
+        tag: project.container_tag,
+        name: known?.name || project.project,
+        path: known?.path || null,
+        remote: known?.remote || null,
+        memories: project.memories,
+        local_only: project.local_only,
+      });
+    }
+    return [...byTag.values()];
+  }
+
+  async moveMemory(memoryId, containerTag) {
+    const memory = this.db.getMemory(memoryId);
+    if (!memory) throw new Error(`Memory not found: ${memoryId}`);
+    if (memory.container_tag === containerTag) {
+      throw new Error(`${memoryId} is already in ${containerTag}`);
+    }
+    this.db.moveMemories([memoryId], containerTag, {
+      localOnly: this.leavesLocalContainer(memory.container_tag, containerTag),
+    });
+    return { success: true, from: memory.container_tag };
+  }
+
+  // A move must not publish what the sync settings keep on this machine
+  leavesLocalContainer(fromTag, toTag) {
+    return (
+      !this.syncPolicy.isSynced(fromTag) && this.syncPolicy.isSynced(toTag)
+    );
+  }
+
+  // Everything in `fromTag`, including trash and profile facts, moves to
+  // `toTag`; the moves are pushed on the next sync. Out of a container
+  // that stays local, memories move as local_only and profile facts, which
+  // cannot be marked, stay behind.
+  async mergeContainers(fromTag, toTag) {
+    if (fromTag === toTag)
+      throw new Error('Cannot merge a container into itself');
+    const localOnly = this.leavesLocalContainer(fromTag, toTag);
+    const merged = this.db.moveMemories(
+      this.db.listContainerMemoryIds(fromTag),
+      toTag,
+      { localOnly },
+    );
+    if (localOnly) return { success: true, merged, facts: 0 };
+    const facts = this.db.moveProfileFacts(fromTag, toTag);
+    this.db.removeContainer(fromTag);
+    return { success: true, merged, facts };
+  }
+
   // GitHub sync operations
   async syncToGitHub() {
-    if (!this.auth.isAuthenticated()) {
+    if (!this.remote.isAuthenticated()) {
       return { success: false, error: 'Not authenticated' };
     }
 
     await this.initSync();
-    const pending = this.db.getPendingSync();
+    const pending = this.db.getPendingSync(this.syncPolicy);
+    const tombstones = this.db.getPendingTombstones(this.syncPolicy);
+    const facts = this.db.getPendingProfileFacts(this.syncPolicy);
 
-    if (pending.length === 0) {
+    if (pending.length === 0 && tombstones.length === 0 && facts.length === 0) {
       return { success: true, synced: 0 };
     }
 
-    const result = await this.sync.syncToGitHub(pending);
+    const result = await this.sync.syncToGitHub(pending, facts, tombstones);
 
     if (result.success) {
-      const ids = pending.map((m) => m.id);
-      this.db.markSynced(ids);
+      if (pending.length > 0) this.db.markSynced(pending);
+      if (tombstones.length > 0) {
+        this.db.markTombstonesSynced(tombstones.map((t) => t.memory_id));
+      }
+      if (facts.length > 0) {
+        this.db.markProfileFactsSynced(facts.map((f) => f.id));
+      }
     }
 
     return result;
   }
 
-  async syncFromGitHub() {
-    if (!this.auth.isAuthenticated()) {
+  /**
+   * Pull and merge. Only files changed since the last imported commit are
+   * read; `fullRescan` re-reads the whole repo, e.g. to repair a database
+   * that missed an import.
+   */
+  async syncFromGitHub({ fullRescan = false } = {}) {
+    if (!this.remote.isAuthenticated()) {
       return { success: false, error: 'Not authenticated' };
     }
 
@@ -117,23 +677,350 @@ class StorageClient {
       return pullResult;
     }
 
-    // Import memories from JSON
-    const memories = this.sync.importMemories();
+    const locked = this.sync.encryptionError();
+    if (locked) return { success: false, error: locked };
 
-    // Add to database (skip if already exists)
-    for (const memory of memories) {
-      const existing = this.db.getMemory(memory.id);
-      if (!existing) {
-        this.db.addMemory(
-          memory.id,
-          memory.content,
-          memory.container_tag,
-          JSON.parse(memory.metadata),
+    const head = await this.sync.getHead();
+    const lastImported = this.db.getSyncState(LAST_IMPORTED_COMMIT);
+    // null means every file. An unknown commit (history rewritten, repo
+    // re-cloned) also falls back to a full scan.
+    let files = null;
+    if (!fullRescan && lastImported) {
+      files =
+        lastImported === head
+          ? []
+          : await this.sync.changedFiles(lastImported).catch(() => null);
+    }
+
+    const result = {
+      success: true,
+      scan: files ? 'incremental' : 'full',
+      ...this.mergeRemoteMemories(this.sync.importMemories(files)),
+      profiles: this.mergeRemoteProfiles(this.sync.importProfiles(files)),
+    };
+    if (head) this.db.setSyncState(LAST_IMPORTED_COMMIT, head);
+    return result;
+  }
+
+  // Redacted text and metadata (a JSON string in the database) of one row
+  redactRow(text, metadataJson) {
+    const redacted = this.redactor(text);
+    const meta = redactMetadata(
+      metadataJson ? JSON.parse(metadataJson) : null,
+      this.redactor,
+    );
+    return {
+      text: redacted.text,
+      metadata: meta.metadata ? JSON.stringify(meta.metadata) : metadataJson,
+      findings: [...redacted.findings, ...meta.findings],
+    };
+  }
+
+  /**
+   * Find secrets stored before redaction was in place, in the database
+   * (memories, revisions, buffered observations, profile facts) and in the
+   * sync repository's working copy. With `fix`, they are redacted in place,
+   * pushed, and any repository file still holding one is rewritten.
+   */
+  async scanSecrets({ fix = false } = {}) {
+    const rows = this.db.getScannableRows();
+    const found = { memories: [], revisions: 0, observations: 0, profiles: 0 };
+
+    for (const row of rows.memories) {
+      const result = this.redactRow(row.content, row.metadata);
+      if (result.findings.length === 0) continue;
+      found.memories.push({ id: row.id, types: [...new Set(result.findings)] });
+      if (fix) {
+        this.db.redactMemory(row.id, result.text, result.metadata);
+        await this.embedMemory(row.id, result.text);
+      }
+    }
+    for (const row of rows.revisions) {
+      const result = this.redactRow(row.content, row.metadata);
+      if (result.findings.length === 0) continue;
+      found.revisions++;
+      if (fix) {
+        this.db.redactRevision(
+          row.memory_id,
+          row.revision,
+          result.text,
+          result.metadata,
+        );
+      }
+    }
+    for (const row of rows.observations) {
+      const result = this.redactRow(row.summary, row.metadata);
+      if (result.findings.length === 0) continue;
+      found.observations++;
+      if (fix) this.db.redactObservation(row.id, result.text, result.metadata);
+    }
+    for (const row of rows.profiles) {
+      const result = this.redactRow(row.fact, null);
+      if (result.findings.length === 0) continue;
+      found.profiles++;
+      if (fix) this.db.redactProfileFact(row.id, result.text);
+    }
+
+    await this.initSync();
+    if (fix && this.remote.isAuthenticated()) {
+      // Push the redacted memories first; the repo pass then only has to
+      // rewrite files that this machine does not push (local-only projects,
+      // stale copies)
+      const pulled = await this.syncFromGitHub();
+      const pushed = pulled.success ? await this.syncToGitHub() : pulled;
+      if (!pushed.success) {
+        return { ...found, fixed: true, repo: null, error: pushed.error };
+      }
+    }
+
+    const repo = await this.sync.scanSecrets(this.redactor, {
+      fix: fix && this.remote.isAuthenticated(),
+    });
+    if (repo?.committed) {
+      this.db.setSyncState(LAST_IMPORTED_COMMIT, await this.sync.getHead());
+    }
+    return { ...found, fixed: fix, repo };
+  }
+
+  /**
+   * Rewrite the sync repo into `layout` ('files' or 'packed'). Pulls and
+   * pushes first so nothing pending is left in the old layout; other
+   * machines pick up the new layout from the repo on their next pull.
+   */
+  async repack(layout) {
+    if (!LAYOUTS.includes(layout)) {
+      throw new Error(
+        `Unknown layout "${layout}" (use ${LAYOUTS.join(' or ')})`,
+      );
+    }
+
+    const pulled = await this.syncFromGitHub();
+    if (!pulled.success) throw new Error(pulled.error || 'Pull failed');
+    const pushed = await this.syncToGitHub();
+    if (!pushed.success) throw new Error(pushed.error || 'Push failed');
+
+    const result = await this.sync.repack(layout);
+    // The repack commit only moves records; nothing in it needs importing
+    this.db.setSyncState(LAST_IMPORTED_COMMIT, await this.sync.getHead());
+    return result;
+  }
+
+  /**
+   * Turn on encryption of sync exports. If the repo is already encrypted,
+   * the passphrase must match its current key (this is also how a machine
+   * catches up after a rotation elsewhere); otherwise a new key is made and
+   * everything in the repo is re-encrypted with it.
+   */
+  async enableEncryption(passphrase) {
+    if (!passphrase) throw new Error('A passphrase is required');
+    if (!this.remote.isAuthenticated()) throw new Error('Not authenticated');
+
+    await this.initSync();
+    const pulled = await this.sync.pullFromGitHub();
+    if (!pulled.success) throw new Error(pulled.error || 'Pull failed');
+
+    const info = this.sync.readEncryptionInfo();
+    if (info) {
+      const current = info.keys.find((k) => k.id === info.current);
+      const entry = deriveKey(passphrase, current?.salt);
+      if (entry.id !== info.current) {
+        throw new Error(
+          'The passphrase does not match the sync repository key',
         );
       }
+      this.keyring.add(entry);
+      return { keyId: entry.id, joined: true };
     }
 
-    return { success: true, imported: memories.length };
+    this.keyring.add(deriveKey(passphrase));
+    return this.sealRepository();
+  }
+
+  // New key from `passphrase`; older keys are kept to read old exports
+  async rotateEncryptionKey(passphrase) {
+    if (!passphrase) throw new Error('A passphrase is required');
+    if (!this.keyring.active) {
+      throw new Error('Encryption is not enabled on this machine');
+    }
+    this.keyring.add(deriveKey(passphrase));
+    return this.sealRepository();
+  }
+
+  // Merge and push first, so the re-encryption commit has nothing pending
+  async sealRepository() {
+    const pulled = await this.syncFromGitHub();
+    if (!pulled.success) throw new Error(pulled.error || 'Pull failed');
+    const pushed = await this.syncToGitHub();
+    if (!pushed.success) throw new Error(pushed.error || 'Push failed');
+
+    const result = await this.sync.reencrypt();
+    this.db.setSyncState(LAST_IMPORTED_COMMIT, await this.sync.getHead());
+    return { ...result, joined: false };
+  }
+
+  // 'on', 'off' or 'locked' (the repo is encrypted with a key we lack)
+  async encryptionStatus() {
+    await this.initSync();
+    const info = this.sync.readEncryptionInfo();
+    const key = this.keyring.currentKey;
+    let state = key ? 'on' : 'off';
+    if (this.sync.encryptionError()) state = 'locked';
+    return {
+      state,
+      keyId: key?.id || null,
+      keyCreatedAt: key?.createdAt || null,
+      keys: this.keyring.data.keys.length,
+      repoKeyId: info?.current || null,
+    };
+  }
+
+  // Profile facts are small and rarely edited: the newer copy wins
+  mergeRemoteProfiles(facts) {
+    let applied = 0;
+    for (const fact of facts) {
+      const local = this.db.getProfileFact(fact.id);
+      if (local && local.updated_at >= fact.updated_at) continue;
+      this.db.importProfileFact(fact);
+      applied++;
+    }
+    return applied;
+  }
+
+  /**
+   * Three-way merge of memories read from the sync repo, using the hash
+   * recorded at the last sync as the base:
+   * - only the remote copy changed: it replaces the local one
+   * - only the local copy changed: kept, and pushed on the next sync
+   * - both changed: recorded in the conflicts table and left untouched
+   * Purged memories never come back.
+   */
+  mergeRemoteMemories(memories) {
+    const counts = {
+      new: 0,
+      updated: 0,
+      unchanged: 0,
+      conflicting: 0,
+      purged: 0,
+    };
+
+    for (const memory of memories) {
+      if (this.db.isTombstoned(memory.id)) continue;
+      const local = this.db.getMemory(memory.id);
+
+      if (memory.purged) {
+        if (local) {
+          this.db.purgeMemory(memory.id, true);
+        } else {
+          this.db.recordTombstone(
+            memory.id,
+            memory.container_tag,
+            memory.created_at,
+            memory.deleted_at,
+            true,
+          );
+        }
+        counts.purged++;
+        continue;
+      }
+
+      if (!local) {
+        this.db.importMemory(memory);
+        counts.new++;
+        continue;
+      }
+
+      local.tags = this.db.getTags(local.id);
+      const localHash = memoryHash(local);
+      const remoteHash = memoryHash(memory);
+      // The hash leaves the container out; a re-tag shows up here
+      const moved = memory.container_tag !== local.container_tag;
+
+      if (localHash === remoteHash && !moved) {
+        if (local.sync_status !== 'synced') this.db.markSynced([local]);
+        this.db.markConflictResolved(local.id, 'converged');
+        counts.unchanged++;
+        continue;
+      }
+
+      const localChanged = local.sync_status !== 'synced';
+      // Rows synced before hashes were recorded fall back to timestamps
+      const remoteChanged = local.synced_hash
+        ? remoteHash !== local.synced_hash
+        : (memory.updated_at || 0) > (local.synced_at || 0);
+
+      // Moved by another machine while edited here: keep the edits and
+      // follow the move
+      if (localChanged && moved && !local.moved_from) {
+        this.db.moveMemories([local.id], memory.container_tag);
+      }
+
+      if (!localChanged) {
+        this.db.importMemory(memory);
+        counts.updated++;
+      } else if (!remoteChanged) {
+        counts.unchanged++;
+      } else {
+        this.db.recordConflict(local, memory);
+        counts.conflicting++;
+      }
+    }
+
+    return counts;
+  }
+
+  async listConflicts() {
+    return { conflicts: this.db.listConflicts() };
+  }
+
+  /**
+   * Settle an open conflict:
+   * - 'local' keeps this machine's version and pushes it over the remote one
+   * - 'remote' takes the other machine's version
+   * - 'both' appends the remote content to the local one and unions tags
+   * The version that loses is kept as a revision.
+   */
+  async resolveConflict(memoryId, choice) {
+    const conflict = this.db.getConflict(memoryId);
+    if (!conflict) throw new Error(`No open conflict for ${memoryId}`);
+    const local = this.db.getMemory(memoryId);
+    const remote = conflict.remote_version;
+
+    if (choice === 'local') {
+      this.db.importRevisions(memoryId, remote.revisions || []);
+      this.db.addRevision(memoryId, {
+        content: remote.content,
+        metadata: remote.metadata,
+        source: 'resolve',
+        updatedAt: remote.updated_at,
+      });
+      this.db.setSyncedHash(memoryId, conflict.remote_hash);
+      this.db.touchMemory(memoryId);
+    } else if (choice === 'remote') {
+      this.db.importMemory(remote);
+      this.db.addRevision(memoryId, {
+        content: local.content,
+        metadata: local.metadata,
+        source: 'resolve',
+        updatedAt: local.updated_at,
+      });
+      this.db.touchMemory(memoryId);
+    } else if (choice === 'both') {
+      this.db.importRevisions(memoryId, remote.revisions || []);
+      if (local.deleted_at) this.db.restoreMemory(memoryId);
+      this.db.updateMemory(
+        memoryId,
+        `${local.content}\n\n---\n\n${remote.content}`,
+        null,
+        'resolve',
+      );
+      this.db.addTags(memoryId, remote.tags || []);
+      this.db.setSyncedHash(memoryId, conflict.remote_hash);
+    } else {
+      throw new Error(`Unknown resolution: ${choice}`);
+    }
+
+    this.db.markConflictResolved(memoryId, choice);
+    return { success: true };
   }
 
   close() {
@@ -0,0 +1,64 @@
+const os = require('node:os');
+const path = require('node:path');
+const {
+  getContainerTag,
+  getPathContainerTag,
+  isWithinContainer,
+} = require('./container-tag');
+
+// Settings name projects by container tag or by path ("/", "~" or "."
+// prefix)
+function entryPath(entry) {
+  if (!/^[/~.]/.test(entry)) return null;
+  const expanded = entry.startsWith('~')
+    ? path.join(os.homedir(), entry.slice(1))
+    : entry;
+  return path.resolve(expanded);
+}
+
+// Paths are mapped to the tag the hooks would use for them
+function toContainerTag(entry) {
+  const dir = entryPath(entry);
+  return dir ? getContainerTag(dir) : entry;
+}
+
+// A path also covers the path-based tag its memories had before remotes
+// were used, which they keep until the project is opened again
+function toContainerTags(entry) {
+  const dir = entryPath(entry);
+  if (!dir) return [entry];
+  return [...new Set([getContainerTag(dir), getPathContainerTag(dir)])];
+}
+
+/**
+ * Which projects may leave this machine. `syncExclude` always wins, then
+ * `syncInclude`; projects in neither list follow `syncNewProjects`, so
+ * setting it to false turns `syncInclude` into an allowlist. A listed
+ * project covers its sub-projects.
+ */
+class SyncPolicy {
+  constructor({
+    syncInclude = [],
+    syncExclude = [],
+    syncNewProjects = true,
+  } = {}) {
+    this.include = (syncInclude || []).flatMap(toContainerTags);
+    this.exclude = (syncExclude || []).flatMap(toContainerTags);
+    this.others = syncNewProjects !== false;
+  }
+
+  isSynced(containerTag) {
+    const listed = (tags) =>
+      tags.some((tag) => isWithinContainer(containerTag, tag));
+    if (listed(this.exclude)) return false;
+    if (listed(this.include)) return true;
+    return this.others;
+  }
+
+  // Row-level check for memories, which can also be marked local_only
+  allows(memory) {
+    return !memory.local_only && this.isSynced(memory.container_tag);
+  }
+}
+
+module.exports = { SyncPolicy, toContainerTag };
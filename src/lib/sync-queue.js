@@ -0,0 +1,154 @@
+const { spawn } = require('node:child_process');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const LOCK_STALE_MS = 10 * 60 * 1000;
+const BASE_RETRY_MS = 30 * 1000;
+const MAX_RETRY_MS = 60 * 60 * 1000;
+const MAX_ATTEMPTS = 10;
+
+// One lock per database, next to it: ~/.claude-memory/sync.lock
+function lockPath(dbPath) {
+  return path.join(path.dirname(dbPath), 'sync.lock');
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+// A lock is stale when its owner died or it is older than LOCK_STALE_MS
+function isStale(file) {
+  try {
+    const { pid, acquiredAt } = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return !isProcessAlive(pid) || Date.now() - acquiredAt > LOCK_STALE_MS;
+  } catch {
+    return true;
+  }
+}
+
+function acquireLock(file, retry = true) {
+  try {
+    fs.writeFileSync(
+      file,
+      JSON.stringify({ pid: process.pid, acquiredAt: Date.now() }),
+      { flag: 'wx' },
+    );
+    return true;
+  } catch (err) {
+    if (err.code !== 'EEXIST') throw err;
+    if (!retry || !isStale(file)) return false;
+    fs.rmSync(file, { force: true });
+    return acquireLock(file, false);
+  }
+}
+
+function releaseLock(file) {
+  try {
+    const { pid } = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (pid === process.pid) fs.rmSync(file, { force: true });
+  } catch {}
+}
+
+// Exponential backoff: 30s, 1m, 2m, ... capped at an hour
+function retryDelay(attempts) {
+  return Math.min(BASE_RETRY_MS * 2 ** (attempts - 1), MAX_RETRY_MS);
+}
+
+/**
+ * Run `fn` while holding the sync lock, so only one process at a time
+ * touches the sync repository. Returns `{ locked: true }` without running
+ * `fn` when another process holds it.
+ */
+async function withSyncLock(client, fn) {
+  const file = lockPath(client.db.dbPath);
+  if (!acquireLock(file)) return { locked: true };
+  try {
+    return await fn();
+  } finally {
+    releaseLock(file);
+  }
+}
+
+// Pull and merge, then push; throws so the queue can retry
+async function runSync(client) {
+  const pulled = await client.syncFromGitHub();
+  if (!pulled.success) throw new Error(pulled.error || 'Pull failed');
+  const pushed = await client.syncToGitHub();
+  if (!pushed.success) throw new Error(pushed.error || 'Push failed');
+  return { pulled, pushed };
+}
+
+function enqueueSync(client, reason) {
+  return client.db.enqueueSync(reason);
+}
+
+/**
+ * Work through due jobs until none are left. All due jobs are settled by
+ * one sync: success clears them, failure reschedules each with backoff and
+ * gives up after MAX_ATTEMPTS.
+ */
+async function processSyncQueue(client) {
+  return withSyncLock(client, async () => {
+    client.db.requeueRunningJobs();
+    let runs = 0;
+    for (;;) {
+      const jobs = client.db.getDueSyncJobs();
+      if (jobs.length === 0) return { runs };
+
+      const startedAt = Date.now();
+      client.db.startSyncJobs(jobs.map((job) => job.id));
+      try {
+        await runSync(client);
+        client.db.logSyncAttempt(jobs[0].id, startedAt);
+        client.db.completeSyncJobs(startedAt);
+        await client
+          .backfillEmbeddings(client.settings.embeddingBackfillBatch)
+          .catch(() => {});
+      } catch (err) {
+        client.db.logSyncAttempt(jobs[0].id, startedAt, err.message);
+        for (const job of jobs) {
+          const attempts = job.attempts + 1;
+          client.db.failSyncJob(
+            job.id,
+            err.message,
+            attempts >= MAX_ATTEMPTS ? null : Date.now() + retryDelay(attempts),
+          );
+        }
+      }
+      runs++;
+    }
+  });
+}
+
+// Bundled next to the hooks in plugin/scripts; src/sync-worker.js in a checkout
+function workerScript() {
+  const bundled = path.join(__dirname, 'sync-worker.cjs');
+  return fs.existsSync(bundled)
+    ? bundled
+    : path.join(__dirname, '..', 'sync-worker.js');
+}
+
+// Start a worker that outlives the hook; it exits when the queue is idle
+function spawnSyncWorker(dbPath) {
+  const child = spawn(process.execPath, [workerScript(), dbPath], {
+    detached: true,
+    stdio: 'ignore',
+  });
+  child.unref();
+}
+
+module.exports = {
+  enqueueSync,
+  processSyncQueue,
+  spawnSyncWorker,
+  withSyncLock,
+  runSync,
+  retryDelay,
+  lockPath,
+  MAX_ATTEMPTS,
+};
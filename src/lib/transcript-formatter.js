@@ -1,12 +1,16 @@
 const fs = require('node:fs');
 const path = require('node:path');
 const os = require('node:os');
+const { stripPrivate, touchesIgnoredPath } = require('./privacy');
 
 const MAX_TOOL_RESULT_LENGTH = 500;
 const SKIP_RESULT_TOOLS = ['Read'];
 const TRACKER_DIR = path.join(os.homedir(), '.supermemory-claude', 'trackers');
 
 let toolUseMap = new Map();
+// Tool calls on ignored paths; their results are dropped too
+let ignoredToolIds = new Set();
+let captureOptions = {};
 
 function ensureTrackerDir() {
   if (!fs.existsSync(TRACKER_DIR)) {
@@ -104,7 +108,10 @@ function formatUserMessage(message) {
       } else if (block.type === 'tool_result') {
         const toolId = block.tool_use_id || '';
         const toolName = toolUseMap.get(toolId) || 'Unknown';
-        if (SKIP_RESULT_TOOLS.includes(toolName)) {
+        if (
+          SKIP_RESULT_TOOLS.includes(toolName) ||
+          ignoredToolIds.has(toolId)
+        ) {
           continue;
         }
         const resultContent = truncate(
@@ -144,6 +151,16 @@ function formatAssistantMessage(message) {
       const toolName = block.name || 'Unknown';
       const toolId = block.id || '';
       const input = block.input || {};
+      if (
+        touchesIgnoredPath(
+          input,
+          captureOptions.ignorePaths,
+          captureOptions.cwd,
+        )
+      ) {
+        if (toolId) ignoredToolIds.add(toolId);
+        continue;
+      }
       const inputLines = formatToolInput(input);
       parts.push(`[tool:${toolName}]\n${inputLines}\n[tool:end]`);
       if (toolId) {
@@ -158,7 +175,9 @@ function formatAssistantMessage(message) {
 function formatToolInput(input) {
   const lines = [];
   for (const [key, value] of Object.entries(input)) {
-    let valueStr = typeof value === 'string' ? value : JSON.stringify(value);
+    let valueStr = stripPrivate(
+      typeof value === 'string' ? value : JSON.stringify(value),
+    );
     valueStr = truncate(valueStr, 200);
     lines.push(`${key}: ${valueStr}`);
   }
@@ -168,10 +187,11 @@ function formatToolInput(input) {
 function cleanContent(text) {
   if (!text || typeof text !== 'string') return '';
 
-  return text
-    .replace(/<system-reminder>[\s\S]*?<\/system-reminder>/g, '')
-    .replace(/<supermemory-context>[\s\S]*?<\/supermemory-context>/g, '')
-    .trim();
+  return stripPrivate(
+    text
+      .replace(/<system-reminder>[\s\S]*?<\/system-reminder>/g, '')
+      .replace(/<supermemory-context>[\s\S]*?<\/supermemory-context>/g, ''),
+  ).trim();
 }
 
 function truncate(text, maxLength) {
@@ -179,8 +199,14 @@ function truncate(text, maxLength) {
   return `${text.slice(0, maxLength)}...`;
 }
 
-function formatNewEntries(transcriptPath, sessionId) {
+/**
+ * `options.ignorePaths` (globs, see privacy.js) drops tool calls touching
+ * those files, resolved against `options.cwd`.
+ */
+function formatNewEntries(transcriptPath, sessionId, options = {}) {
   toolUseMap = new Map();
+  ignoredToolIds = new Set();
+  captureOptions = options;
 
   const entries = parseTranscript(transcriptPath);
   if (entries.length === 0) return null;
@@ -216,11 +242,19 @@ function formatNewEntries(transcriptPath, sessionId) {
   return result;
 }
 
+// Mark everything so far as captured without formatting it (incognito)
+function skipToEnd(transcriptPath, sessionId) {
+  const entries = parseTranscript(transcriptPath);
+  const last = entries.filter((e) => e.uuid).pop();
+  if (last) setLastCapturedUuid(sessionId, last.uuid);
+}
+
 module.exports = {
   parseTranscript,
   getEntriesSinceLastCapture,
   formatEntry,
   formatNewEntries,
+  skipToEnd,
   cleanContent,
   truncate,
   getLastCapturedUuid,
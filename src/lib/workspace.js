@@ -0,0 +1,139 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const { globToRegExp } = require('./privacy');
+
+const MARKER_FILE = '.claude-memory.json';
+// What makes a directory matched by a workspace glob a package
+const PACKAGE_MANIFESTS = ['package.json', 'Cargo.toml', 'go.mod'];
+
+function readText(file) {
+  try {
+    return fs.readFileSync(file, 'utf8');
+  } catch {
+    return null;
+  }
+}
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+// `packages:` list of pnpm-workspace.yaml, without a YAML parser
+function pnpmPackages(text) {
+  const patterns = [];
+  let inPackages = false;
+  for (const line of text.split('\n')) {
+    if (/^packages:\s*$/.test(line)) {
+      inPackages = true;
+    } else if (inPackages && /^\S/.test(line)) {
+      inPackages = false;
+    } else if (inPackages) {
+      const item = line.match(/^\s*-\s*['"]?([^'"#]+?)['"]?\s*(?:#.*)?$/);
+      if (item) patterns.push(item[1]);
+    }
+  }
+  return patterns;
+}
+
+// `members = [...]` of Cargo.toml's [workspace] table
+function cargoMembers(text) {
+  const table = text.match(/^\[workspace\][\s\S]*?(?=^\[|(?![\s\S]))/m);
+  const members = table?.[0].match(/members\s*=\s*\[([\s\S]*?)\]/);
+  if (!members) return [];
+  return [...members[1].matchAll(/["']([^"']+)["']/g)].map((m) => m[1]);
+}
+
+// `use` directives of go.work, single or in a block
+function goWorkUses(text) {
+  const uses = [];
+  for (const block of text.matchAll(/^use\s*\(([\s\S]*?)\)/gm)) {
+    uses.push(...block[1].split('\n'));
+  }
+  for (const line of text.matchAll(/^use\s+([^(\s].*)$/gm)) {
+    uses.push(line[1]);
+  }
+  return uses
+    .map((use) => use.replace(/\/\/.*$/, '').trim())
+    .filter((use) => use && use !== '.');
+}
+
+/**
+ * Package globs declared by the workspace manifests at the repository
+ * root: package.json `workspaces`, pnpm-workspace.yaml, lerna.json,
+ * Cargo.toml and go.work. `!` entries exclude.
+ */
+function workspacePatterns(root) {
+  const patterns = [];
+  const workspaces = readJson(path.join(root, 'package.json'))?.workspaces;
+  patterns.push(
+    ...(Array.isArray(workspaces) ? workspaces : workspaces?.packages || []),
+  );
+  patterns.push(...(readJson(path.join(root, 'lerna.json'))?.packages || []));
+
+  const pnpm = readText(path.join(root, 'pnpm-workspace.yaml'));
+  if (pnpm) patterns.push(...pnpmPackages(pnpm));
+  const cargo = readText(path.join(root, 'Cargo.toml'));
+  if (cargo) patterns.push(...cargoMembers(cargo));
+  const goWork = readText(path.join(root, 'go.work'));
+  if (goWork) patterns.push(...goWorkUses(goWork));
+
+  return patterns
+    .filter((p) => typeof p === 'string')
+    .map((p) => p.replace(/^(!?)\.\//, '$1').replace(/\/+$/, ''));
+}
+
+function matchesWorkspace(relative, patterns) {
+  let matched = false;
+  for (const pattern of patterns) {
+    if (pattern.startsWith('!')) {
+      if (globToRegExp(pattern.slice(1)).test(relative)) return false;
+    } else if (globToRegExp(pattern).test(relative)) {
+      matched = true;
+    }
+  }
+  return matched;
+}
+
+function packageName(dir) {
+  const marker = readJson(path.join(dir, MARKER_FILE));
+  if (typeof marker?.name === 'string' && marker.name) return marker.name;
+  const name = readJson(path.join(dir, 'package.json'))?.name;
+  return typeof name === 'string' && name ? name : path.basename(dir);
+}
+
+/**
+ * The sub-project `cwd` is in: the closest directory below `root` with a
+ * `.claude-memory.json` marker, or a package directory that the root's
+ * workspace manifests list. null at the root or outside any package.
+ * @returns {{ path: string, relative: string, name: string } | null}
+ */
+function findSubProject(cwd, root) {
+  const relativeCwd = path.relative(root, cwd);
+  if (!relativeCwd || relativeCwd.startsWith('..')) return null;
+
+  let patterns = null;
+  for (let dir = cwd; dir !== root; dir = path.dirname(dir)) {
+    const relative = path.relative(root, dir).split(path.sep).join('/');
+    let found = fs.existsSync(path.join(dir, MARKER_FILE));
+    if (
+      !found &&
+      PACKAGE_MANIFESTS.some((f) => fs.existsSync(path.join(dir, f)))
+    ) {
+      patterns = patterns || workspacePatterns(root);
+      found = matchesWorkspace(relative, patterns);
+    }
+    if (found) return { path: dir, relative, name: packageName(dir) };
+    if (path.dirname(dir) === dir) break;
+  }
+  return null;
+}
+
+module.exports = {
+  MARKER_FILE,
+  workspacePatterns,
+  findSubProject,
+};
@@ -1,5 +1,16 @@
-const { loadSettings, debugLog } = require('./lib/settings');
+const { StorageClient } = require('./lib/storage-client');
+const { getContainerTag, getRootContainerTag } = require('./lib/container-tag');
+const { loadSettings, debugLog, shouldCaptureTool } = require('./lib/settings');
 const { readStdin, outputSuccess } = require('./lib/stdin');
+const {
+  compressObservation,
+  getObservationMetadata,
+} = require('./lib/compress');
+const {
+  isIncognito,
+  stripPrivateValues,
+  touchesIgnoredPath,
+} = require('./lib/privacy');
 
 async function main() {
   const settings = loadSettings();
@@ -11,6 +22,44 @@ async function main() {
 
     debugLog(settings, 'PostToolUse', { sessionId, toolName });
 
+    if (!sessionId || !toolName || !shouldCaptureTool(toolName, settings)) {
+      outputSuccess();
+      return;
+    }
+
+    const cwd = input.cwd || process.cwd();
+    if (touchesIgnoredPath(input.tool_input, settings.ignorePaths, cwd)) {
+      debugLog(settings, 'Ignored path, not captured', { toolName });
+      outputSuccess();
+      return;
+    }
+
+    const containerTag = getContainerTag(cwd);
+    const client = new StorageClient();
+    if (isIncognito(client.db.dbPath, sessionId, getRootContainerTag(cwd))) {
+      client.close();
+      outputSuccess();
+      return;
+    }
+
+    const toolInput = stripPrivateValues(input.tool_input);
+    const summary = compressObservation(
+      toolName,
+      toolInput,
+      stripPrivateValues(input.tool_response),
+    );
+    const metadata = getObservationMetadata(toolName, toolInput);
+
+    await client.addObservation(
+      sessionId,
+      containerTag,
+      toolName,
+      summary,
+      metadata,
+    );
+    client.close();
+
+    debugLog(settings, 'Observation captured', { summary });
     outputSuccess();
   } catch (err) {
     debugLog(settings, 'Error', { error: err.message });
@@ -1,5 +1,10 @@
+const { StorageClient } = require('./lib/storage-client');
+const { getContainerTags } = require('./lib/container-tag');
 const { loadSettings, debugLog } = require('./lib/settings');
-const { readStdin, outputSuccess } = require('./lib/stdin');
+const { readStdin, writeOutput, outputSuccess } = require('./lib/stdin');
+const { formatContext } = require('./lib/format-context');
+
+const MIN_PROMPT_LENGTH = 10;
 
 async function main() {
   const settings = loadSettings();
@@ -7,10 +12,57 @@ async function main() {
   try {
     const input = await readStdin();
     const sessionId = input.session_id;
+    const prompt = (input.prompt || '').trim();
 
     debugLog(settings, 'UserPromptSubmit', { sessionId });
 
-    outputSuccess();
+    // Slash commands and one-word replies don't carry a useful query
+    if (
+      !settings.recallOnPrompt ||
+      !sessionId ||
+      prompt.length < MIN_PROMPT_LENGTH ||
+      prompt.startsWith('/')
+    ) {
+      outputSuccess();
+      return;
+    }
+
+    const cwd = input.cwd || process.cwd();
+    // In a sub-project, its memories and the repository's
+    const containerTags = getContainerTags(cwd);
+
+    const client = new StorageClient();
+    const searchResults = await client.recall(
+      prompt,
+      containerTags,
+      sessionId,
+      {
+        limit: settings.maxRecallResults,
+        minScore: settings.recallMinScore,
+      },
+    );
+    client.close();
+
+    debugLog(settings, 'Prompt recall', { hits: searchResults.total });
+
+    const additionalContext = formatContext(
+      { profile: { static: [], dynamic: [] }, searchResults },
+      false,
+      true,
+      settings.maxRecallResults,
+    );
+
+    if (!additionalContext) {
+      outputSuccess();
+      return;
+    }
+
+    writeOutput({
+      hookSpecificOutput: {
+        hookEventName: 'UserPromptSubmit',
+        additionalContext,
+      },
+    });
   } catch (err) {
     debugLog(settings, 'Error', { error: err.message });
     outputSuccess();
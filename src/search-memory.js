@@ -1,6 +1,13 @@
 const { StorageClient } = require('./lib/storage-client');
-const { getContainerTag, getProjectName } = require('./lib/container-tag');
+const {
+  getContainerTags,
+  getRootContainerTag,
+  getProjectName,
+  getSubProjectName,
+  isWithinContainer,
+} = require('./lib/container-tag');
 const { loadSettings } = require('./lib/settings');
+const { parseSearchQuery, describeFilters } = require('./lib/search-query');
 
 async function main() {
   const query = process.argv.slice(2).join(' ');
@@ -14,57 +21,74 @@ async function main() {
 
   const _settings = loadSettings();
   const cwd = process.cwd();
-  const containerTag = getContainerTag(cwd);
   const projectName = getProjectName(cwd);
+  const { text, filters, errors } = parseSearchQuery(query);
+  const hasFilters = Object.keys(filters).length > 0;
+
+  const subProject = getSubProjectName(cwd);
 
   try {
     const client = new StorageClient();
-    const result = await client.getProfile(containerTag, query);
+
+    // project:<name> or project:* widens the search beyond this repo;
+    // subproject:<name> looks through all of this repo's sub-projects.
+    // Otherwise: this sub-project and the repo root.
+    let containerTag = null;
+    if (filters.subproject && !filters.project) {
+      const rootTag = getRootContainerTag(cwd);
+      containerTag = client.db
+        .listProjects()
+        .map((p) => p.container_tag)
+        .filter((tag) => isWithinContainer(tag, rootTag));
+    } else if (!filters.project) {
+      containerTag = getContainerTags(cwd);
+    }
 
     console.log(`## Memory Search: "${query}"`);
-    console.log(`Project: ${projectName}\n`);
+    console.log(
+      `Project: ${filters.project || projectName}${subProject && !filters.project && !filters.subproject ? ` (${subProject})` : ''}`,
+    );
+    if (hasFilters) console.log(`Filters: ${describeFilters(filters)}`);
+    for (const error of errors) console.log(`⚠ ${error}`);
+    console.log('');
 
-    if (result.profile) {
-      if (result.profile.static?.length > 0) {
+    if (containerTag && !filters.subproject && text) {
+      const profile = client.db.getProfile(containerTag);
+      if (profile.static.length > 0) {
         console.log('### User Preferences');
-        result.profile.static.forEach((fact) => console.log(`- ${fact}`));
+        profile.static.forEach((fact) => console.log(`- ${fact}`));
         console.log('');
       }
-      if (result.profile.dynamic?.length > 0) {
+      if (profile.dynamic.length > 0) {
         console.log('### Recent Context');
-        result.profile.dynamic.forEach((fact) => console.log(`- ${fact}`));
+        profile.dynamic.forEach((fact) => console.log(`- ${fact}`));
         console.log('');
       }
     }
 
-    if (result.searchResults?.results?.length > 0) {
+    const searchResult = await client.search(text, containerTag, {
+      limit: 10,
+      filters: hasFilters ? filters : null,
+    });
+
+    if (searchResult.results?.length > 0) {
       console.log('### Relevant Memories');
-      result.searchResults.results.forEach((mem, i) => {
-        const similarity = Math.round((mem.similarity || 0.5) * 100);
+      searchResult.results.forEach((mem, i) => {
+        const similarity = Math.round((mem.similarity || 0) * 100);
         const content = mem.memory || mem.content || '';
-        console.log(`\n**Memory ${i + 1}** (${similarity}% match)`);
+        const date = new Date(mem.createdAt).toLocaleString();
+        console.log(`\n**Memory ${i + 1}** (${similarity}% match, ${date})`);
         if (mem.title) console.log(`*${mem.title}*`);
+        if (mem.tags?.length > 0) {
+          console.log(mem.tags.map((t) => `#${t}`).join(' '));
+        }
         console.log(content.slice(0, 500));
       });
     } else {
-      const searchResult = await client.search(query, containerTag, {
-        limit: 10,
-      });
-      if (searchResult.results?.length > 0) {
-        console.log('### Relevant Memories');
-        searchResult.results.forEach((mem, i) => {
-          const similarity = Math.round((mem.similarity || 0.5) * 100);
-          const content = mem.memory || mem.content || '';
-          console.log(`\n**Memory ${i + 1}** (${similarity}% match)`);
-          if (mem.title) console.log(`*${mem.title}*`);
-          console.log(content.slice(0, 500));
-        });
-      } else {
-        console.log('No memories found matching your query.');
-        console.log(
-          'Memories are automatically saved as you work in this project.',
-        );
-      }
+      console.log('No memories found matching your query.');
+      console.log(
+        'Memories are automatically saved as you work in this project.',
+      );
     }
 
     client.close();
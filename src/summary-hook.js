@@ -1,17 +1,26 @@
 const { StorageClient } = require('./lib/storage-client');
-const { getContainerTag } = require('./lib/container-tag');
+const {
+  getContainerTag,
+  getRootContainerTag,
+  getProjectName,
+  getSubProjectName,
+} = require('./lib/container-tag');
 const { loadSettings, debugLog } = require('./lib/settings');
 const { readStdin, writeOutput } = require('./lib/stdin');
-const { compressTranscript } = require('./lib/compress');
+const { compressTranscript, countTurns } = require('./lib/compress');
+const { formatNewEntries, skipToEnd } = require('./lib/transcript-formatter');
+const { isIncognito } = require('./lib/privacy');
+const { enqueueSync, spawnSyncWorker } = require('./lib/sync-queue');
 
 async function main() {
   const settings = loadSettings();
 
   try {
     const input = await readStdin();
-    const transcript = input.transcript || [];
+    const transcriptPath = input.transcript_path;
+    const sessionId = input.session_id;
 
-    if (transcript.length === 0) {
+    if (!transcriptPath || !sessionId) {
       debugLog(settings, 'No transcript to save');
       writeOutput({});
       return;
@@ -19,41 +28,76 @@ async function main() {
 
     const cwd = input.cwd || process.cwd();
     const containerTag = getContainerTag(cwd);
+    const client = new StorageClient();
 
-    debugLog(settings, 'Stop', {
+    // Incognito turns are skipped for good, not saved up for later
+    if (isIncognito(client.db.dbPath, sessionId, getRootContainerTag(cwd))) {
+      debugLog(settings, 'Incognito, nothing saved', { sessionId });
+      skipToEnd(transcriptPath, sessionId);
+      await client.clearObservations(sessionId);
+      client.close();
+      writeOutput({});
+      return;
+    }
+
+    // Only entries and tool activity since the last Stop in this session
+    const formatted = formatNewEntries(transcriptPath, sessionId, {
+      ignorePaths: settings.ignorePaths,
       cwd,
-      containerTag,
-      turns: transcript.length,
     });
+    const observations = await client.getObservations(sessionId);
+    const summary = compressTranscript(formatted, settings, observations);
 
-    const client = new StorageClient();
+    if (!summary) {
+      debugLog(settings, 'Nothing new to save', { sessionId });
+      client.close();
+      writeOutput({});
+      return;
+    }
 
-    // Compress and save transcript
-    const summary = compressTranscript(transcript, settings);
-    const sessionId = `session_${Date.now()}`;
+    const turns = countTurns(formatted);
+    const metadata = {
+      sm_source: 'claude-code-plugin',
+      type: 'session',
+      project: getProjectName(cwd),
+      turns,
+      tools: [...new Set(observations.map((o) => o.tool))],
+      files: [
+        ...new Set(observations.map((o) => o.metadata?.file).filter(Boolean)),
+      ],
+    };
+    const subProject = getSubProjectName(cwd);
+    if (subProject) metadata.subproject = subProject;
 
-    await client.addMemory(
-      summary,
+    debugLog(settings, 'Stop', {
+      cwd,
       containerTag,
-      {
-        sm_source: 'claude-code-plugin',
-        sessionId,
-        turns: transcript.length,
-      },
       sessionId,
-    );
+      turns,
+      observations: observations.length,
+    });
 
-    // Sync to GitHub
-    const syncResult = await client
-      .syncToGitHub()
-      .catch(() => ({ success: false }));
+    const result = await client.saveSessionSummary(
+      sessionId,
+      summary,
+      containerTag,
+      metadata,
+    );
 
-    if (syncResult.success) {
-      debugLog(settings, 'Synced to GitHub', { count: syncResult.synced });
-    } else {
-      debugLog(settings, 'GitHub sync failed, will retry later');
+    if (observations.length > 0) {
+      await client.clearObservations(
+        sessionId,
+        observations[observations.length - 1].id,
+      );
     }
 
+    debugLog(settings, 'Session summary saved', result);
+
+    // Sync in the background; the Stop hook must not wait on the network
+    const jobId = enqueueSync(client, 'session-end');
+    spawnSyncWorker(client.db.dbPath);
+    debugLog(settings, 'Sync queued', { jobId });
+
     client.close();
     writeOutput({});
   } catch (err) {
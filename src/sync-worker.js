@@ -0,0 +1,20 @@
+const { StorageClient } = require('./lib/storage-client');
+const { processSyncQueue } = require('./lib/sync-queue');
+const { loadSettings, debugLog } = require('./lib/settings');
+
+// Detached from the hook that spawned it; argv[2] is the database path
+async function main() {
+  const settings = loadSettings();
+  const client = new StorageClient(process.argv[2] || null);
+  try {
+    const result = await processSyncQueue(client);
+    debugLog(settings, 'Sync worker done', result);
+  } finally {
+    client.close();
+  }
+}
+
+main().catch((err) => {
+  console.error(`Claude Memory sync worker: ${err.message}`);
+  process.exit(1);
+});